@@ -0,0 +1,307 @@
+// API Resilience
+// Shared wrapper for outbound Anthropic and Notion calls: a token-bucket rate limiter
+// with a concurrency cap per service, a per-call timeout, and retries with exponential
+// backoff and jitter (honouring retry-after) for errors classified as retryable. Calls
+// that create something each time (page creation, block appends) are only retried on
+// errors that mean the request was never applied - a timed-out create may still complete
+// on the server. Calls made inside trackApiCalls() record their retries and waits in that
+// run's stats
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const statsStorage = new AsyncLocalStorage();
+
+class ApiTimeoutError extends Error {
+  constructor(label, timeoutMs) {
+    super(`${label} timed out after ${timeoutMs}ms`);
+    this.name = 'ApiTimeoutError';
+    this.code = 'api_timeout';
+  }
+}
+
+// Token bucket (requestsPerSecond, bursting up to one second's worth) plus a cap on
+// requests in flight
+class RateLimiter {
+  constructor({ requestsPerSecond, maxConcurrent }) {
+    this.intervalMs = 1000 / requestsPerSecond;
+    this.capacity = Math.max(1, Math.floor(requestsPerSecond));
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.maxConcurrent = maxConcurrent;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) / this.intervalMs);
+    this.lastRefill = now;
+  }
+
+  // Resolves once a slot is free; returns how long the caller waited
+  async acquire() {
+    const startedAt = Date.now();
+
+    for (;;) {
+      this.refill();
+      if (this.active < this.maxConcurrent && this.tokens >= 1) {
+        this.tokens -= 1;
+        this.active++;
+        return Date.now() - startedAt;
+      }
+
+      if (this.active >= this.maxConcurrent) {
+        await new Promise(resolve => this.waiting.push(resolve));
+      } else {
+        await sleep(Math.ceil((1 - this.tokens) * this.intervalMs));
+      }
+    }
+  }
+
+  release() {
+    this.active--;
+    const next = this.waiting.shift();
+    if (next) next();
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] || null;
+}
+
+// Seconds or an HTTP date, as retry-after allows either
+function parseRetryAfter(headers) {
+  const value = headerValue(headers, 'retry-after');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+const RETRYABLE_CODES = new Set([
+  'rate_limited',
+  'internal_server_error',
+  'service_unavailable',
+  'conflict_error',
+  'notionhq_client_request_timeout',
+  'api_timeout',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+]);
+
+// Errors that mean the request was never applied (rejected before processing, or never
+// sent), so a write can safely be sent again
+const NOT_APPLIED_STATUSES = new Set([409, 429, 529]);
+const NOT_APPLIED_CODES = new Set(['rate_limited', 'conflict_error', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+// Client methods that only read
+const READ_METHODS = new Set(['list', 'retrieve', 'query', 'me', 'search']);
+
+// Writes that are safe to send again: they set state rather than add to it (a repeated
+// model call is billed twice but creates nothing). Any other write - pages.create,
+// blocks.children.append and anything not listed here - is treated as not idempotent
+const IDEMPOTENT_WRITES = new Set([
+  'messages.create',
+  'pages.update',
+  'blocks.update',
+  'blocks.delete',
+  'databases.update'
+]);
+
+// Whether a client method (by path, e.g. "blocks.children.append") could duplicate its
+// effect if sent twice
+function isUnsafeWrite(path) {
+  return !READ_METHODS.has(path[path.length - 1]) && !IDEMPOTENT_WRITES.has(path.join('.'));
+}
+
+// Rate limits, overload, server errors, timeouts and dropped connections are retried;
+// everything else (bad request, auth, not found, validation) fails straight away. For
+// non-idempotent writes only not-applied errors are retried; other retryable errors come
+// back with unsafe set (retrying could duplicate the write)
+function classifyError(error, { write = false } = {}) {
+  const status = error.status;
+  const code = error.code || (error.cause && error.cause.code);
+  const retryAfterMs = parseRetryAfter(error.headers) || error.retryAfterMs || null;
+
+  let result;
+  if (RETRYABLE_CODES.has(code)) {
+    result = { retryable: true, reason: code, retryAfterMs };
+  } else if (status && RETRYABLE_STATUSES.has(status)) {
+    result = { retryable: true, reason: `HTTP ${status}`, retryAfterMs };
+  } else {
+    // The Anthropic SDK reports network failures and its own timeouts as status-less
+    // APIConnectionError / APIConnectionTimeoutError (their name property stays "Error")
+    const errorClass = error.constructor ? error.constructor.name : '';
+    result = !status && /Connection|Timeout/.test(errorClass)
+      ? { retryable: true, reason: errorClass, retryAfterMs }
+      : { retryable: false, reason: status ? `HTTP ${status}` : (code || error.name || 'error'), retryAfterMs };
+  }
+
+  if (write && result.retryable && !NOT_APPLIED_CODES.has(code) && !NOT_APPLIED_STATUSES.has(status)) {
+    return { ...result, retryable: false, unsafe: true };
+  }
+  return result;
+}
+
+function withTimeout(promise, timeoutMs, label) {
+  if (!timeoutMs) return promise;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new ApiTimeoutError(label, timeoutMs)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// --- Per-run stats ---
+
+function createApiStats() {
+  return {};
+}
+
+function serviceStats(service) {
+  const stats = statsStorage.getStore();
+  if (!stats) return null;
+  if (!stats[service]) {
+    stats[service] = { calls: 0, retries: 0, failures: 0, retryWaitMs: 0, throttledMs: 0 };
+  }
+  return stats[service];
+}
+
+// Run fn with API calls recorded into stats (nested async work included)
+function trackApiCalls(stats, fn) {
+  return statsStorage.run(stats, fn);
+}
+
+// --- Service policies ---
+
+function servicePolicy(service, env = process.env) {
+  const prefix = service.toUpperCase();
+  const defaults = {
+    anthropic: { requestsPerSecond: '2', maxConcurrent: '4', timeoutMs: '120000' },
+    notion: { requestsPerSecond: '3', maxConcurrent: '3', timeoutMs: '30000' }
+  }[service] || { requestsPerSecond: '5', maxConcurrent: '5', timeoutMs: '30000' };
+
+  return {
+    service,
+    limiter: new RateLimiter({
+      requestsPerSecond: parseFloat(env[`${prefix}_REQUESTS_PER_SECOND`] || defaults.requestsPerSecond),
+      maxConcurrent: parseInt(env[`${prefix}_MAX_CONCURRENT`] || defaults.maxConcurrent, 10)
+    }),
+    timeoutMs: parseInt(env[`${prefix}_TIMEOUT_MS`] || defaults.timeoutMs, 10),
+    maxRetries: parseInt(env.API_MAX_RETRIES || '4', 10),
+    baseDelayMs: parseInt(env.API_RETRY_BASE_MS || '1000', 10),
+    maxDelayMs: parseInt(env.API_RETRY_MAX_MS || '30000', 10)
+  };
+}
+
+// Call fn under the policy's limiter, timeout and retry rules (options.write: a
+// non-idempotent write, see classifyError)
+async function callWithRetry(policy, label, fn, options = {}) {
+  const stats = serviceStats(policy.service);
+
+  for (let attempt = 0; ; attempt++) {
+    const waitedMs = await policy.limiter.acquire();
+    if (stats) {
+      stats.calls++;
+      stats.throttledMs += waitedMs;
+    }
+
+    // The slot is held until the request itself settles: a timed-out request is still in
+    // flight, and freeing its slot early would let more than maxConcurrent run
+    const request = Promise.resolve().then(fn);
+    const release = () => policy.limiter.release();
+    request.then(release, release);
+
+    let outcome;
+    try {
+      outcome = { value: await withTimeout(request, policy.timeoutMs, label) };
+    } catch (error) {
+      outcome = { error };
+    }
+
+    if (!outcome.error) {
+      return outcome.value;
+    }
+
+    const { retryable, unsafe, reason, retryAfterMs } = classifyError(outcome.error, { write: options.write });
+
+    if (!retryable || attempt >= policy.maxRetries) {
+      if (stats) stats.failures++;
+      if (unsafe) {
+        console.error(`❌ ${label} failed (${reason}) - not retried, the write may already have been applied`);
+      } else if (retryable) {
+        console.error(`❌ ${label} failed after ${attempt + 1} attempts (${reason})`);
+      }
+      throw outcome.error;
+    }
+
+    // Exponential backoff with full jitter, but never sooner than the server asked for
+    const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+    const delay = Math.max(retryAfterMs || 0, Math.round(Math.random() * backoff));
+    if (stats) {
+      stats.retries++;
+      stats.retryWaitMs += delay;
+    }
+
+    console.log(`⏳ ${label}: ${reason}, retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 2}/${policy.maxRetries + 1})`);
+    await sleep(delay);
+  }
+}
+
+// Proxy a client so every method call (nested resources included, e.g.
+// notion.blocks.children.list) goes through callWithRetry
+function wrapClient(service, client, policy = servicePolicy(service)) {
+  const proxies = new WeakMap();
+
+  function wrap(target, path) {
+    if (proxies.has(target)) return proxies.get(target);
+
+    const proxy = new Proxy(target, {
+      get(obj, property, receiver) {
+        const value = Reflect.get(obj, property, receiver);
+        if (typeof property !== 'string' || property.startsWith('_')) return value;
+
+        if (typeof value === 'function') {
+          const label = `${service} ${[...path, property].join('.')}`;
+          const write = isUnsafeWrite([...path, property]);
+          return (...args) => callWithRetry(policy, label, () => value.apply(obj, args), { write });
+        }
+        if (value && typeof value === 'object') {
+          return wrap(value, [...path, property]);
+        }
+        return value;
+      }
+    });
+
+    proxies.set(target, proxy);
+    return proxy;
+  }
+
+  return wrap(client, []);
+}
+
+module.exports = {
+  ApiTimeoutError,
+  RateLimiter,
+  classifyError,
+  servicePolicy,
+  callWithRetry,
+  wrapClient,
+  createApiStats,
+  trackApiCalls
+};
@@ -0,0 +1,137 @@
+// X (Twitter) Weighted Character Counting
+// Implements the twitter-text v3 weighting rules so counts match what X shows:
+// - text is NFC-normalised first
+// - every URL counts as 23 characters, whatever its real length
+// - each emoji (including ZWJ sequences, flags and skin tones) counts as 2
+// - code points outside the Latin/general punctuation ranges (CJK etc.) count as 2
+// - everything else counts as 1
+
+const DEFAULT_CHARACTER_LIMIT = 280;
+
+const SCALE = 100;
+const DEFAULT_WEIGHT = 200;
+const URL_WEIGHTED_LENGTH = 23;
+const EMOJI_WEIGHT = 200;
+
+// Code point ranges weighted 100 (one character); everything else uses DEFAULT_WEIGHT
+const LIGHT_RANGES = [
+  [0, 4351],
+  [8192, 8205],
+  [8208, 8223],
+  [8242, 8247]
+];
+
+const URL_PATTERN = /\b(?:https?:\/\/[^\s<>"]+|(?:[a-z0-9-]+\.)+(?:com|org|net|io|co|ai|dev|app|me|ly|so|xyz|edu|gov|info|biz|news|blog|link|page|us|uk|ca|de)\b(?:\/[^\s<>"]*)?)/gi;
+
+const EMOJI_PATTERN = /\p{Regional_Indicator}\p{Regional_Indicator}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?)*/gu;
+
+// Trailing punctuation is not part of a URL ("see example.com." -> "example.com")
+function trimUrl(url) {
+  return url.replace(/[.,;:!?)\]'"]+$/, '');
+}
+
+// The configured per-post limit (280 for standard accounts; Premium accounts can go higher)
+function getCharacterLimit(env = process.env) {
+  const limit = parseInt(env.MAX_POST_CHARS || String(DEFAULT_CHARACTER_LIMIT), 10);
+  return Number.isNaN(limit) || limit <= 0 ? DEFAULT_CHARACTER_LIMIT : limit;
+}
+
+function codePointWeight(codePoint) {
+  for (const [start, end] of LIGHT_RANGES) {
+    if (codePoint >= start && codePoint <= end) return SCALE;
+  }
+  return DEFAULT_WEIGHT;
+}
+
+// Split text into weighted tokens: { text, type: 'url' | 'emoji' | 'char', weight, start, end }
+// Offsets are UTF-16 indices into the normalised text
+function tokenize(text) {
+  const normalized = (text || '').normalize('NFC');
+  const special = [];
+
+  for (const match of normalized.matchAll(URL_PATTERN)) {
+    const url = trimUrl(match[0]);
+    special.push({ start: match.index, end: match.index + url.length, type: 'url', weight: URL_WEIGHTED_LENGTH * SCALE });
+  }
+
+  for (const match of normalized.matchAll(EMOJI_PATTERN)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    // Emoji inside a URL are already covered by the URL weight
+    if (!special.some(token => start < token.end && end > token.start)) {
+      special.push({ start, end, type: 'emoji', weight: EMOJI_WEIGHT });
+    }
+  }
+
+  special.sort((a, b) => a.start - b.start);
+
+  const tokens = [];
+  let index = 0;
+  let specialIndex = 0;
+
+  while (index < normalized.length) {
+    const next = special[specialIndex];
+    if (next && next.start === index) {
+      tokens.push({ ...next, text: normalized.slice(next.start, next.end) });
+      index = next.end;
+      specialIndex++;
+      continue;
+    }
+
+    const codePoint = normalized.codePointAt(index);
+    const size = codePoint > 0xffff ? 2 : 1;
+    tokens.push({
+      text: normalized.slice(index, index + size),
+      type: 'char',
+      weight: codePointWeight(codePoint),
+      start: index,
+      end: index + size
+    });
+    index += size;
+  }
+
+  return tokens;
+}
+
+// Length of a post as X counts it
+function weightedLength(text) {
+  const total = tokenize(text).reduce((sum, token) => sum + token.weight, 0);
+  return Math.ceil(total / SCALE);
+}
+
+function isWithinLimit(text, limit = getCharacterLimit()) {
+  return weightedLength(text) <= limit;
+}
+
+// "142/280 ✅" style label used in logs and Notion pages
+function formatCount(text, limit = getCharacterLimit()) {
+  const length = weightedLength(text);
+  return `${length}/${limit} ${length <= limit ? '✅' : '❌'}`;
+}
+
+// Cut text to fit the limit without splitting a URL, emoji or surrogate pair
+function truncateToLimit(text, limit = getCharacterLimit(), ellipsis = '...') {
+  if (isWithinLimit(text, limit)) return text;
+
+  const budget = (limit - weightedLength(ellipsis)) * SCALE;
+  let used = 0;
+  let end = 0;
+
+  for (const token of tokenize(text)) {
+    if (used + token.weight > budget) break;
+    used += token.weight;
+    end = token.end;
+  }
+
+  return text.normalize('NFC').slice(0, end).trimEnd() + ellipsis;
+}
+
+module.exports = {
+  DEFAULT_CHARACTER_LIMIT,
+  getCharacterLimit,
+  tokenize,
+  weightedLength,
+  isWithinLimit,
+  formatCount,
+  truncateToLimit
+};
@@ -0,0 +1,57 @@
+// X's weighted character counting: URLs at 23, emoji and CJK at 2, and truncation that
+// never cuts a URL or emoji
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getCharacterLimit, weightedLength, isWithinLimit, formatCount, truncateToLimit } = require('./character-counter');
+
+test('plain Latin text counts one per character', () => {
+  assert.strictEqual(weightedLength('Hello, world!'), 13);
+  assert.strictEqual(weightedLength(''), 0);
+});
+
+test('every URL counts as 23 whatever its length', () => {
+  assert.strictEqual(weightedLength('https://example.com'), 23);
+  assert.strictEqual(weightedLength(`https://example.com/${'a'.repeat(200)}`), 23);
+  assert.strictEqual(weightedLength('Read: example.com/post'), 6 + 23);
+  // Trailing punctuation is not part of the link
+  assert.strictEqual(weightedLength('See https://example.com.'), 4 + 23 + 1);
+});
+
+test('emoji count as 2, including ZWJ sequences, skin tones and flags', () => {
+  assert.strictEqual(weightedLength('🔥'), 2);
+  assert.strictEqual(weightedLength('👍🏽'), 2);
+  assert.strictEqual(weightedLength('👨‍👩‍👧'), 2);
+  assert.strictEqual(weightedLength('🇬🇧'), 2);
+  assert.strictEqual(weightedLength('Go 🚀'), 3 + 2);
+});
+
+test('CJK and other heavy code points count as 2', () => {
+  assert.strictEqual(weightedLength('日本語'), 6);
+  assert.strictEqual(weightedLength('한국'), 4);
+  assert.strictEqual(weightedLength('a日'), 3);
+});
+
+test('text is NFC-normalised before counting', () => {
+  assert.strictEqual(weightedLength('café'), 4);
+});
+
+test('the limit comes from MAX_POST_CHARS, 280 by default', () => {
+  assert.strictEqual(getCharacterLimit({}), 280);
+  assert.strictEqual(getCharacterLimit({ MAX_POST_CHARS: '4000' }), 4000);
+  assert.strictEqual(getCharacterLimit({ MAX_POST_CHARS: 'lots' }), 280);
+  assert.strictEqual(isWithinLimit('a'.repeat(280), 280), true);
+  assert.strictEqual(isWithinLimit('a'.repeat(281), 280), false);
+  assert.strictEqual(formatCount('日本', 3), '4/3 ❌');
+});
+
+test('truncation keeps URLs and emoji whole', () => {
+  const withUrl = `${'a'.repeat(20)} https://example.com/long/path`;
+  const cut = truncateToLimit(withUrl, 30);
+  assert.strictEqual(cut, `${'a'.repeat(20)}...`);
+  assert.ok(weightedLength(cut) <= 30);
+
+  const emoji = truncateToLimit('🔥🔥🔥🔥🔥', 7);
+  assert.strictEqual(emoji, '🔥🔥...');
+  assert.strictEqual(truncateToLimit('short', 280), 'short');
+});
@@ -0,0 +1,149 @@
+// Concept Page Layout
+// The block layout of a Shortform concept page, in both directions: building the blocks
+// for a concept, and reading a concept back from a page's blocks (for refinement). The
+// publisher reads the same layout (see ThreadPublisher.readThread)
+
+const { formatPlatformCount } = require('./platform-profiles');
+const { richTextToPlain } = require('./notion-content');
+const { richText, paragraph, heading, divider, pageMention } = require('./notion-blocks');
+const { formatRubric } = require('./quality-rubric');
+
+// Block types the layout is made of; anything else on a page (toggles, embeds) is left alone
+const LAYOUT_TYPES = new Set(['heading_1', 'heading_2', 'paragraph', 'divider']);
+
+// Note linking the earlier concept this one repeats (see SimilarityIndex), or that it was
+// rewritten because its first draft did
+function repeatNote(similarTo) {
+  const what = similarTo.kind === 'opening'
+    ? `opens the same way ("${similarTo.phrase}...") as`
+    : `has a ${Math.round(similarTo.score * 100)}% similar ${similarTo.kind} to`;
+  const text = similarTo.rewritten
+    ? `🔁 Rewritten - the first draft ${what} `
+    : `⚠️ Possible repeat - this concept ${what} `;
+  const annotations = { color: similarTo.rewritten ? 'gray' : 'orange', italic: true };
+
+  return {
+    object: 'block',
+    type: 'paragraph',
+    paragraph: {
+      rich_text: [
+        ...richText(text, annotations),
+        pageMention(similarTo.pageId, annotations),
+        ...richText(` (${String(similarTo.createdTime).slice(0, 10)})`, annotations)
+      ]
+    }
+  };
+}
+
+// Blocks for one concept. notes are the gray provenance lines at the end (prompt, version, ...)
+function buildConceptBlocks(concept, profile, notes = []) {
+  const blocks = [];
+
+  // Title and concept overview
+  blocks.push(heading(1, concept.concept));
+  if (concept.similarTo) {
+    blocks.push(repeatNote(concept.similarTo));
+  }
+
+  // Strategy section
+  blocks.push(heading(2, 'Strategy:'));
+  blocks.push(paragraph(concept.strategy));
+
+  // Main Content section
+  blocks.push(heading(2, `${profile.postNoun} Content:`));
+
+  // Add each post with character counts
+  concept.mainContent.posts.forEach((post, postIndex) => {
+    // Add the post content
+    blocks.push(paragraph(post));
+
+    // Add character count right after each post (always recounted - model-reported counts are unreliable)
+    const charCount = formatPlatformCount(post, profile);
+    blocks.push(paragraph(`Character Count: ${charCount}`, { color: 'gray', italic: true }));
+
+    // Add divider between posts (but not after the last one)
+    if (postIndex < concept.mainContent.posts.length - 1) {
+      blocks.push(paragraph('---', { bold: true, color: 'blue' }));
+    }
+  });
+
+  // Single Aha Moment section
+  blocks.push(heading(2, 'Single Aha Moment:'));
+  blocks.push(paragraph(concept.ahamoment));
+
+  // Divider before CTA
+  blocks.push(divider());
+
+  // CTA Tweet section
+  blocks.push(heading(2, `CTA ${profile.postNoun}:`));
+  blocks.push(paragraph(concept.cta));
+
+  // CTA Character count with validation
+  const ctaLength = profile.measure(concept.cta);
+  blocks.push(paragraph(`CTA Character Count: ${formatPlatformCount(concept.cta, profile)}`, {
+    color: ctaLength <= profile.getLimit() ? 'green' : 'red',
+    italic: true
+  }));
+
+  // Quality Validation section: rubric scores when the concept was scored (multi-pass),
+  // otherwise the model's own self-check
+  blocks.push(divider());
+  blocks.push(heading(2, 'Quality Validation:'));
+  blocks.push(paragraph(concept.rubric ? formatRubric(concept.rubric) : concept.qualityValidation));
+
+  for (const note of notes) {
+    blocks.push(paragraph(note, { color: 'gray', italic: true }));
+  }
+
+  return blocks;
+}
+
+// Concept fields read back from a page's layout blocks, plus the provenance notes
+// after the quality validation. Thread numbering (" 1/3") is removed from posts
+function readConceptBlocks(blocks) {
+  const concept = { concept: '', strategy: '', ahamoment: '', cta: '', qualityValidation: '', mainContent: { posts: [] } };
+  const notes = [];
+  let section = null;
+
+  for (const block of blocks) {
+    if (block.type === 'heading_1') {
+      concept.concept = richTextToPlain(block.heading_1.rich_text).trim();
+      continue;
+    }
+    if (block.type === 'heading_2') {
+      const text = richTextToPlain(block.heading_2.rich_text).trim();
+      if (text === 'Strategy:') section = 'strategy';
+      else if (/Content:$/.test(text)) section = 'posts';
+      else if (text === 'Single Aha Moment:') section = 'ahamoment';
+      else if (/^CTA /.test(text)) section = 'cta';
+      else if (text === 'Quality Validation:') section = 'qualityValidation';
+      else section = null;
+      continue;
+    }
+    if (block.type !== 'paragraph' || !section) continue;
+
+    const text = richTextToPlain(block.paragraph.rich_text).trim();
+    if (!text || text === '---' || /^(CTA )?Character Count:/.test(text)) continue;
+
+    if (section === 'posts') {
+      concept.mainContent.posts.push(text);
+    } else if (concept[section]) {
+      if (section === 'qualityValidation') notes.push(text);
+    } else {
+      concept[section] = text;
+    }
+  }
+
+  const posts = concept.mainContent.posts;
+  if (posts.length > 0 && posts.every((post, i) => post.endsWith(` ${i + 1}/${posts.length}`))) {
+    concept.mainContent.posts = posts.map(post => post.replace(/ \d+\/\d+$/, ''));
+  }
+
+  return { concept, notes };
+}
+
+module.exports = {
+  LAYOUT_TYPES,
+  buildConceptBlocks,
+  readConceptBlocks
+};
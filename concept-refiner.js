@@ -0,0 +1,187 @@
+// Concept Refinement from Notion Comments
+// Reviewers leave comments on a Shortform page ("hook is weak", "too salesy"). Refining
+// the page reads those comments and the page's current concept, revises just that
+// concept, and rewrites the page body in place. The replaced body is kept in a toggle
+// where it was, just above the new body; the toggle's title also marks which comments
+// have been handled
+
+const { normalizeId, collectAll, listAllChildren, richTextToPlain, selectName } = require('./notion-content');
+const { copyBlock, appendBlocks, appendToggle } = require('./notion-blocks');
+const { LAYOUT_TYPES, buildConceptBlocks, readConceptBlocks } = require('./concept-page');
+const { PLATFORM_PROFILES, getPlatformProfile } = require('./platform-profiles');
+
+const HISTORY_PREFIX = 'Previous version (replaced ';
+
+// Last block of the page body: the first run of layout blocks (history toggles sit above
+// it, the "Published to X" toggle and other additions below)
+function bodyEnd(blocks) {
+  let end = blocks.findIndex(block => LAYOUT_TYPES.has(block.type));
+  while (end + 1 < blocks.length && LAYOUT_TYPES.has(blocks[end + 1].type)) end++;
+  return blocks[end];
+}
+
+// Copies of the paragraphs between the concept title and its first section (the
+// possible-repeat note), which the rebuilt layout has no source for
+function titleNotes(layoutBlocks) {
+  const firstSection = layoutBlocks.findIndex(block => block.type === 'heading_2');
+  return layoutBlocks.slice(0, firstSection === -1 ? 0 : firstSection)
+    .filter(block => block.type === 'paragraph')
+    .map(copyBlock)
+    .filter(Boolean);
+}
+
+// Replacement time recorded in a history toggle's title, or null for other blocks
+function historyTime(block) {
+  if (block.type !== 'toggle') return null;
+  const title = richTextToPlain(block.toggle.rich_text);
+  return title.startsWith(HISTORY_PREFIX) ? title.slice(HISTORY_PREFIX.length, -1) : null;
+}
+
+class ConceptRefiner {
+  constructor(notionClient, contentGenerator, options = {}) {
+    this.notion = notionClient;
+    this.generator = contentGenerator;
+    this.shortformProperties = options.shortformProperties || null;
+    this.similarityIndex = options.similarityIndex || null;
+    this.databaseId = options.databaseId || process.env.SHORTFORM_DATABASE_ID;
+    this.statusProperty = options.statusProperty || process.env.PUBLISH_STATUS_PROPERTY || 'Status';
+    this.publishedValue = options.publishedValue || process.env.PUBLISH_PUBLISHED_VALUE || 'Published';
+    this.platformProperty = options.platformProperty || process.env.SHORTFORM_PLATFORM_PROPERTY || null;
+  }
+
+  // --- Reading the page ---
+
+  profileFor(page) {
+    const name = this.platformProperty ? selectName(page.properties[this.platformProperty]) : null;
+    return (name && getPlatformProfile(name)) || PLATFORM_PROFILES.x;
+  }
+
+  async listComments(blockId) {
+    return collectAll(params => this.notion.comments.list(params), { block_id: blockId });
+  }
+
+  // Page-level comments plus comments left on the page's text blocks, oldest first.
+  // Returns { text, context, createdTime } with context = start of the commented block
+  async readComments(pageId, blocks) {
+    const comments = [];
+
+    try {
+      for (const comment of await this.listComments(pageId)) {
+        comments.push({ text: richTextToPlain(comment.rich_text).trim(), context: null, createdTime: comment.created_time });
+      }
+
+      for (const block of blocks.filter(block => block.type !== 'divider')) {
+        const blockText = richTextToPlain(block[block.type].rich_text).trim();
+        for (const comment of await this.listComments(block.id)) {
+          comments.push({
+            text: richTextToPlain(comment.rich_text).trim(),
+            context: blockText.length > 80 ? `${blockText.slice(0, 80)}...` : blockText,
+            createdTime: comment.created_time
+          });
+        }
+      }
+    } catch (error) {
+      if (error.status === 403 || error.code === 'restricted_resource') {
+        throw new Error('The Notion integration cannot read comments - enable "Read comments" in its capabilities');
+      }
+      throw error;
+    }
+
+    return comments
+      .filter(comment => comment.text)
+      .sort((a, b) => a.createdTime.localeCompare(b.createdTime));
+  }
+
+  // --- Refinement ---
+
+  async refinePage(pageId) {
+    console.log(`\n💬 === REFINING CONCEPT FROM COMMENTS: ${pageId} ===`);
+
+    const page = await this.notion.pages.retrieve({ page_id: pageId });
+    if (!page.parent || page.parent.type !== 'database_id' || normalizeId(page.parent.database_id) !== normalizeId(this.databaseId)) {
+      return { status: 'skipped', reason: 'Page not in Shortform database' };
+    }
+
+    if (selectName(page.properties[this.statusProperty]) === this.publishedValue) {
+      return { status: 'skipped', reason: 'Page already published' };
+    }
+
+    const blocks = await listAllChildren(this.notion, pageId);
+    const layoutBlocks = blocks.filter(block => LAYOUT_TYPES.has(block.type));
+    const lastRefined = blocks.map(historyTime).filter(Boolean).sort().pop() || null;
+
+    const { concept, notes } = readConceptBlocks(layoutBlocks);
+    if (concept.mainContent.posts.length === 0 || !concept.cta) {
+      throw new Error('Could not find the posts and CTA on the page - was its layout changed?');
+    }
+
+    // Comments from before the last refinement have already been worked in
+    const comments = (await this.readComments(pageId, layoutBlocks))
+      .filter(comment => !lastRefined || comment.createdTime > lastRefined);
+    if (comments.length === 0) {
+      console.log(`ℹ️ No new comments${lastRefined ? ` since ${lastRefined}` : ''} - nothing to refine`);
+      return { status: 'skipped', reason: 'No new comments' };
+    }
+    console.log(`💬 ${comments.length} new comment(s) to address`);
+
+    const profile = this.profileFor(page);
+    const refined = await this.generator.refineConceptFromComments(concept, comments, profile);
+    const refinedAt = new Date().toISOString();
+    const model = this.generator.passSettings('commentRefinement').model;
+
+    // Keep the current body first, so a failure further on never loses it. The toggle
+    // and then the new body go right after the current body, which is removed in between
+    const history = layoutBlocks.map(copyBlock).filter(Boolean);
+    const toggle = await appendToggle(this.notion, pageId, `${HISTORY_PREFIX}${refinedAt})`, history, {
+      after: bodyEnd(blocks).id
+    });
+
+    for (const block of layoutBlocks) {
+      try {
+        await this.notion.blocks.delete({ block_id: block.id });
+      } catch (error) {
+        console.error(`⚠️ Could not remove block ${block.id}:`, error.message);
+      }
+    }
+
+    const newBlocks = buildConceptBlocks(refined, profile, [
+      ...notes,
+      `Refined from ${comments.length} comment(s) on ${refinedAt} · Model: ${model}`
+    ]);
+    // Notes under the title (the possible-repeat note) stay with the concept
+    newBlocks.splice(1, 0, ...titleNotes(layoutBlocks));
+    const { skipped } = await appendBlocks(this.notion, pageId, newBlocks, { after: toggle.id });
+
+    if (this.similarityIndex) {
+      this.similarityIndex.refresh(pageId, refined);
+    }
+
+    // Metadata follows the new body; the review status is left as the reviewer set it
+    if (this.shortformProperties) {
+      try {
+        const properties = await this.shortformProperties.forConcept(refined, {
+          generation: { mode: 'Comment refinement', model },
+          version: this.shortformProperties.pageVersion(page),
+          status: null
+        }, profile);
+        if (Object.keys(properties).length > 0) {
+          await this.notion.pages.update({ page_id: pageId, properties });
+        }
+      } catch (error) {
+        console.error('⚠️ Could not update the page properties:', error.message);
+      }
+    }
+
+    console.log(`✅ Page ${pageId} rewritten (${refined.mainContent.posts.length} posts, previous version kept in a toggle)`);
+    return {
+      status: 'success',
+      page_id: pageId,
+      comments_addressed: comments.length,
+      posts_count: refined.mainContent.posts.length,
+      skipped_blocks: skipped,
+      refined_at: refinedAt
+    };
+  }
+}
+
+module.exports = ConceptRefiner;
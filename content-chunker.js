@@ -0,0 +1,141 @@
+// Section Chunking & Insight Merging (map-reduce for long emails)
+// Long emails are cut into sections at their headings (the "#" lines rendered from Notion
+// heading blocks), insights are extracted per section, then merged and ranked here so
+// concept generation works from a compact, section-referenced digest
+
+const { wordSet, jaccard } = require('./text-similarity');
+
+// Split Markdown at level 1-3 headings (outside code fences). Tiny sections join the one
+// before them; oversized ones are split at paragraph breaks
+function chunkByHeadings(markdown, options = {}) {
+  const minChars = options.minChars || 400;
+  const maxChars = options.maxChars || 8000;
+
+  const sections = [];
+  let current = { heading: null, level: 0, lines: [] };
+  let inCode = false;
+
+  for (const line of markdown.split('\n')) {
+    if (/^```/.test(line)) inCode = !inCode;
+
+    const match = !inCode && line.match(/^(#{1,3}) (.+)$/);
+    if (match) {
+      sections.push(current);
+      current = { heading: match[2].trim(), level: match[1].length, lines: [line] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  const merged = [];
+  for (const section of sections) {
+    const content = section.lines.join('\n').trim();
+    if (!content) continue;
+
+    const previous = merged[merged.length - 1];
+    if (previous && (content.length < minChars || previous.content.length < minChars) &&
+        previous.content.length + content.length <= maxChars) {
+      previous.content += `\n\n${content}`;
+      if (!previous.heading) previous.heading = section.heading;
+      continue;
+    }
+    merged.push({ heading: section.heading, level: section.level, content });
+  }
+
+  const chunks = [];
+  for (const section of merged) {
+    const parts = splitLongSection(section.content, maxChars);
+    parts.forEach((content, part) => {
+      const heading = section.heading || 'Introduction';
+      chunks.push({
+        id: `S${chunks.length + 1}`,
+        heading: parts.length > 1 ? `${heading} (part ${part + 1})` : heading,
+        level: section.level,
+        content
+      });
+    });
+  }
+
+  return chunks;
+}
+
+function splitLongSection(content, maxChars) {
+  if (content.length <= maxChars) return [content];
+
+  const parts = [];
+  let current = '';
+  for (const paragraph of content.split(/\n{2,}/)) {
+    if (current && current.length + paragraph.length + 2 > maxChars) {
+      parts.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+// Merge near-duplicate insights across sections (keeping every section they appear in),
+// then rank by strength, with insights seen in several sections first among equals
+function mergeInsights(sectionResults, options = {}) {
+  const limit = options.limit || 12;
+  const threshold = options.threshold || 0.6;
+  const merged = [];
+
+  for (const { section, insights } of sectionResults) {
+    for (const item of insights || []) {
+      if (!item || !item.insight) continue;
+
+      const words = wordSet(item.insight);
+      const duplicate = merged.find(existing => jaccard(existing.words, words) >= threshold);
+      if (duplicate) {
+        if (!duplicate.sections.includes(section.id)) duplicate.sections.push(section.id);
+        if ((item.strength || 0) > duplicate.strength) {
+          duplicate.insight = item.insight;
+          duplicate.evidence = item.evidence || duplicate.evidence;
+          duplicate.strength = item.strength || 0;
+        }
+        duplicate.links = Array.from(new Set([...duplicate.links, ...(item.links || [])]));
+        continue;
+      }
+
+      merged.push({
+        insight: item.insight,
+        evidence: item.evidence || '',
+        strength: item.strength || 0,
+        links: item.links || [],
+        sections: [section.id],
+        words
+      });
+    }
+  }
+
+  return merged
+    .sort((a, b) => (b.strength - a.strength) || (b.sections.length - a.sections.length))
+    .slice(0, limit)
+    .map(({ words, ...insight }, i) => ({ rank: i + 1, ...insight }));
+}
+
+// Prompt text standing in for the full email: section outline plus ranked insights
+function formatDigest(chunks, insights) {
+  const outline = chunks.map(chunk => `- ${chunk.id}: ${chunk.heading}`).join('\n');
+  const ranked = insights.map(item => {
+    const lines = [`${item.rank}. [${item.sections.join(', ')}] ${item.insight}`];
+    if (item.evidence) lines.push(`   Detail: ${item.evidence}`);
+    if (item.links.length > 0) lines.push(`   Links: ${item.links.join(' ')}`);
+    return lines.join('\n');
+  }).join('\n');
+
+  return `SECTIONS:
+${outline}
+
+RANKED INSIGHTS (strongest first, [section ids] they come from):
+${ranked}`;
+}
+
+module.exports = {
+  chunkByHeadings,
+  mergeInsights,
+  formatDigest
+};
@@ -0,0 +1,100 @@
+// Section chunking for long emails: cutting at headings, joining tiny sections and
+// splitting huge ones, merging the same insight found in several sections, and the digest
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { chunkByHeadings, mergeInsights, formatDigest } = require('./content-chunker');
+
+const paragraph = (word, count) => Array(count).fill(word).join(' ');
+
+test('cuts at level 1-3 headings and numbers the sections', () => {
+  const markdown = [
+    paragraph('intro', 100),
+    '# First',
+    paragraph('one', 100),
+    '## Second',
+    paragraph('two', 100),
+    '#### Not a section',
+    paragraph('three', 100)
+  ].join('\n');
+  const chunks = chunkByHeadings(markdown, { minChars: 100 });
+
+  assert.deepStrictEqual(chunks.map(chunk => [chunk.id, chunk.heading, chunk.level]), [
+    ['S1', 'Introduction', 0],
+    ['S2', 'First', 1],
+    ['S3', 'Second', 2]
+  ]);
+  assert.ok(chunks[2].content.includes('#### Not a section'));
+});
+
+test('ignores heading-like lines inside code fences', () => {
+  const markdown = ['# Real', paragraph('text', 50), '```', '# comment', '```', paragraph('more', 50)].join('\n');
+  const chunks = chunkByHeadings(markdown, { minChars: 10 });
+
+  assert.strictEqual(chunks.length, 1);
+  assert.ok(chunks[0].content.includes('# comment'));
+});
+
+test('joins tiny sections to the one before them', () => {
+  const markdown = ['# Long', paragraph('long', 100), '# Short', 'Just a line.'].join('\n');
+  const chunks = chunkByHeadings(markdown, { minChars: 100 });
+
+  assert.strictEqual(chunks.length, 1);
+  assert.strictEqual(chunks[0].heading, 'Long');
+  assert.ok(chunks[0].content.endsWith('Just a line.'));
+});
+
+test('splits oversized sections at paragraph breaks', () => {
+  const markdown = ['# Big', paragraph('a', 40), '', paragraph('b', 40), '', paragraph('c', 40)].join('\n');
+  const chunks = chunkByHeadings(markdown, { minChars: 10, maxChars: 170 });
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.heading), ['Big (part 1)', 'Big (part 2)']);
+  assert.ok(chunks.every(chunk => chunk.content.length <= 170));
+});
+
+test('merges the same insight from several sections and ranks by strength', () => {
+  const results = [
+    { section: { id: 'S1' }, insights: [
+      { insight: 'Small daily habits compound into big results over time', strength: 3, links: ['https://a.example'] },
+      { insight: 'Write the headline before the draft', strength: 4 }
+    ] },
+    { section: { id: 'S2' }, insights: [
+      { insight: 'Small daily habits compound into big results over years', strength: 5, evidence: 'A 1% story', links: ['https://b.example'] },
+      null
+    ] }
+  ];
+  const insights = mergeInsights(results);
+
+  assert.strictEqual(insights.length, 2);
+  assert.deepStrictEqual(insights[0], {
+    rank: 1,
+    insight: 'Small daily habits compound into big results over years',
+    evidence: 'A 1% story',
+    strength: 5,
+    links: ['https://a.example', 'https://b.example'],
+    sections: ['S1', 'S2']
+  });
+  assert.strictEqual(insights[1].rank, 2);
+  assert.deepStrictEqual(insights[1].sections, ['S1']);
+});
+
+test('insights seen in more sections come first among equals, up to the limit', () => {
+  const results = [
+    { section: { id: 'S1' }, insights: [{ insight: 'Ship weekly', strength: 3 }, { insight: 'Charge more for expertise', strength: 3 }] },
+    { section: { id: 'S2' }, insights: [{ insight: 'Charge more for expertise', strength: 3 }] }
+  ];
+
+  assert.deepStrictEqual(mergeInsights(results).map(item => item.insight), ['Charge more for expertise', 'Ship weekly']);
+  assert.strictEqual(mergeInsights(results, { limit: 1 }).length, 1);
+});
+
+test('the digest lists sections and ranked insights with their sources', () => {
+  const chunks = [{ id: 'S1', heading: 'Introduction' }, { id: 'S2', heading: 'Pricing' }];
+  const insights = [{ rank: 1, insight: 'Charge more', evidence: 'Doubled prices, kept clients', links: ['https://a.example'], sections: ['S1', 'S2'] }];
+  const digest = formatDigest(chunks, insights);
+
+  assert.ok(digest.includes('- S1: Introduction\n- S2: Pricing'));
+  assert.ok(digest.includes('1. [S1, S2] Charge more'));
+  assert.ok(digest.includes('   Detail: Doubled prices, kept clients'));
+  assert.ok(digest.includes('   Links: https://a.example'));
+});
@@ -0,0 +1,292 @@
+// Setup Diagnostics
+// Checks what actually breaks runs in practice: databases not shared with the integration,
+// missing or mistyped properties (Shortform "Title" / "E-mails"), an unreachable prompt
+// page and model names the API doesn't know. Every check reports pass, warn or fail with
+// a hint on how to fix it; used by GET /diagnostics and the startup self-check
+
+const { normalizeId } = require('./notion-content');
+
+const REQUIRED_ENV = [
+  'NOTION_TOKEN',
+  'ANTHROPIC_API_KEY',
+  'EMAILS_DATABASE_ID',
+  'SHORTFORM_DATABASE_ID',
+  'CLAUDE_MODEL_NAME'
+];
+
+// --- Fix hints ---
+
+function notionHint(error, what, envName) {
+  if (error.status === 401 || error.code === 'unauthorized') {
+    return 'NOTION_TOKEN is invalid or was revoked - copy the secret from the integration settings';
+  }
+  if (error.status === 404 || error.code === 'object_not_found') {
+    return `Share ${what} with the integration (••• menu > Connections) and check ${envName}`;
+  }
+  if (error.code === 'validation_error') {
+    return `${envName} is not a valid Notion ID - copy the 32-character ID from the URL`;
+  }
+  return `Notion answered: ${error.message}`;
+}
+
+function modelHint(error, model) {
+  if (error.status === 401) {
+    return 'ANTHROPIC_API_KEY is invalid - create a new key in the Anthropic console';
+  }
+  if (error.status === 404) {
+    return `"${model}" is not a model this key can use - check CLAUDE_MODEL_NAME and PASS_*_MODEL / GENERATION_CONFIG_FILE`;
+  }
+  if (error.status === 400) {
+    return `The API rejected a request to "${model}": ${error.message}`;
+  }
+  return `The API did not answer: ${error.message}`;
+}
+
+// --- Report ---
+
+function createReport() {
+  const checks = [];
+  const add = (status, check, detail, hint) => {
+    checks.push({ check, status, detail, hint: hint || null });
+  };
+  return {
+    checks,
+    pass: (check, detail) => add('pass', check, detail),
+    warn: (check, detail, hint) => add('warn', check, detail, hint),
+    fail: (check, detail, hint) => add('fail', check, detail, hint)
+  };
+}
+
+// Required properties fail when missing; optional ones only warn (their feature is skipped)
+function checkProperty(report, database, schema, name, types, { required = false, feature } = {}) {
+  const check = `${database} property "${name}"`;
+  const property = schema[name];
+
+  if (!property) {
+    const hint = `Add a ${types.join(' or ')} property named "${name}" to the ${database} database`;
+    if (required) {
+      report.fail(check, 'Missing', hint);
+    } else {
+      report.warn(check, `Missing - ${feature} is skipped`, hint);
+    }
+    return null;
+  }
+  if (!types.includes(property.type)) {
+    const hint = `Change "${name}" to ${types.join(' or ')} (or point the setting at another property)`;
+    if (required) {
+      report.fail(check, `Is a ${property.type} property`, hint);
+    } else {
+      report.warn(check, `Is a ${property.type} property - ${feature} is skipped`, hint);
+    }
+    return null;
+  }
+
+  report.pass(check, property.type);
+  return property;
+}
+
+// Retrieve a database, reporting access problems. Returns its properties or null
+async function retrieveDatabase(report, notion, label, envName, databaseId) {
+  try {
+    const database = await notion.databases.retrieve({ database_id: databaseId });
+    report.pass(`${label} database access`, `${envName} ${databaseId}`);
+    return database.properties;
+  } catch (error) {
+    report.fail(`${label} database access`, error.message, notionHint(error, `the ${label} database`, envName));
+    return null;
+  }
+}
+
+// --- Checks ---
+
+function checkEnvironment(report, env, passConfig) {
+  const missing = REQUIRED_ENV.filter(key => !env[key]);
+  if (missing.length > 0) {
+    report.fail('Environment variables', `Missing: ${missing.join(', ')}`, 'Set them in the Railway service variables (see .env.example)');
+  } else {
+    report.pass('Environment variables', 'All required variables set');
+  }
+
+  if (passConfig.errors.length > 0) {
+    report.warn('Generation settings', passConfig.errors.join('; '), `Fix ${passConfig.source} - defaults are used for the invalid entries`);
+  } else {
+    report.pass('Generation settings', passConfig.source);
+  }
+}
+
+// Settings rejected when their module loaded (defaults are used in their place)
+function checkSettings(report, check, errors, hint) {
+  if (errors && errors.length > 0) {
+    report.warn(check, errors.join('; '), hint);
+  }
+}
+
+async function checkNotionToken(report, notion) {
+  try {
+    const bot = await notion.users.me({});
+    report.pass('Notion integration token', bot.name || bot.id);
+    return true;
+  } catch (error) {
+    report.fail('Notion integration token', error.message, notionHint(error, 'the workspace', 'NOTION_TOKEN'));
+    return false;
+  }
+}
+
+async function checkEmailsDatabase(report, notion, env) {
+  const schema = await retrieveDatabase(report, notion, 'E-mails', 'EMAILS_DATABASE_ID', env.EMAILS_DATABASE_ID);
+  if (!schema) return;
+
+  checkProperty(report, 'E-mails', schema, env.EMAIL_PLATFORMS_PROPERTY || 'Platforms', ['multi_select', 'select'],
+    { feature: `per-email platform choice (DEFAULT_PLATFORMS=${env.DEFAULT_PLATFORMS || 'x'} applies)` });
+  if (env.PROMPT_LIBRARY_DATABASE_ID) {
+    checkProperty(report, 'E-mails', schema, env.EMAIL_PROMPT_PROPERTY || 'Prompt', ['select', 'relation'],
+      { feature: 'per-email prompt choice' });
+  }
+  for (const name of [env.EMAIL_COST_PROPERTY, env.EMAIL_TOKENS_PROPERTY].filter(Boolean)) {
+    checkProperty(report, 'E-mails', schema, name, ['number'], { feature: 'usage totals on the email' });
+  }
+}
+
+async function checkShortformDatabase(report, notion, env, { shortformProperties, threadPublisher, postScheduler }) {
+  const schema = await retrieveDatabase(report, notion, 'Shortform', 'SHORTFORM_DATABASE_ID', env.SHORTFORM_DATABASE_ID);
+  if (!schema) return;
+
+  checkProperty(report, 'Shortform', schema, 'Title', ['title'], { required: true });
+  const relation = checkProperty(report, 'Shortform', schema, 'E-mails', ['relation'], { required: true });
+  if (relation && env.EMAILS_DATABASE_ID && normalizeId(relation.relation.database_id) !== normalizeId(env.EMAILS_DATABASE_ID)) {
+    report.fail('Shortform "E-mails" relation target', `Points to database ${relation.relation.database_id}`,
+      'Relate "E-mails" to the database in EMAILS_DATABASE_ID (or fix EMAILS_DATABASE_ID)');
+  }
+
+  if (env.SHORTFORM_PLATFORM_PROPERTY) {
+    checkProperty(report, 'Shortform', schema, env.SHORTFORM_PLATFORM_PROPERTY, ['select'], { feature: 'platform tagging' });
+  }
+  for (const name of [env.SHORTFORM_COST_PROPERTY, env.SHORTFORM_TOKENS_PROPERTY].filter(Boolean)) {
+    checkProperty(report, 'Shortform', schema, name, ['number'], { feature: 'usage per page' });
+  }
+
+  for (const [field, name] of Object.entries(shortformProperties.propertyMap)) {
+    let types = ['select', 'rich_text', 'multi_select', 'status'];
+    if (['postCount', 'maxLength', 'qualityScore', 'version'].includes(field)) types = ['number', 'rich_text', 'select'];
+    if (field === 'similarTo') types = ['relation'];
+    const property = checkProperty(report, 'Shortform', schema, name, types, { feature: `${field} metadata` });
+    if (property && property.type === 'status' &&
+        !property.status.options.some(option => option.name === shortformProperties.initialStatus)) {
+      report.warn(`Shortform property "${name}" options`, `No "${shortformProperties.initialStatus}" option`,
+        `Add the option in Notion or set SHORTFORM_INITIAL_STATUS to an existing one`);
+    }
+  }
+
+  if (env.ENABLE_PUBLISHING === 'true' || postScheduler) {
+    checkProperty(report, 'Shortform', schema, threadPublisher.statusProperty, ['status', 'select'], { required: true });
+    checkProperty(report, 'Shortform', schema, threadPublisher.tweetIdsProperty, ['rich_text'], { feature: 'resuming threads from Notion' });
+    checkProperty(report, 'Shortform', schema, threadPublisher.tweetUrlProperty, ['url'], { feature: 'the thread link' });
+  }
+  if (postScheduler) {
+    checkProperty(report, 'Shortform', schema, postScheduler.scheduledForProperty, ['date'], { required: true });
+  }
+}
+
+async function checkPrompt(report, notion, env, promptLibrary) {
+  if (!env.PROMPT_LIBRARY_DATABASE_ID && !env.PROMPT_PAGE_ID) {
+    report.warn('Content prompt', 'No PROMPT_LIBRARY_DATABASE_ID or PROMPT_PAGE_ID - the simplified fallback prompt is used',
+      'Point PROMPT_PAGE_ID at your prompt page');
+    return;
+  }
+
+  if (env.PROMPT_LIBRARY_DATABASE_ID) {
+    const schema = await retrieveDatabase(report, notion, 'Prompt library', 'PROMPT_LIBRARY_DATABASE_ID', env.PROMPT_LIBRARY_DATABASE_ID);
+    if (schema && env.DEFAULT_PROMPT_NAME) {
+      try {
+        const prompt = await promptLibrary.findPromptByName(env.DEFAULT_PROMPT_NAME);
+        if (prompt) {
+          report.pass('Default prompt', `"${prompt.name}" (${prompt.pageId})`);
+        } else {
+          report.fail('Default prompt', `No page titled "${env.DEFAULT_PROMPT_NAME}" in the prompt library`,
+            'Fix DEFAULT_PROMPT_NAME or rename the prompt page');
+        }
+      } catch (error) {
+        report.fail('Default prompt', error.message, notionHint(error, 'the prompt library', 'PROMPT_LIBRARY_DATABASE_ID'));
+      }
+    }
+  }
+
+  if (env.PROMPT_PAGE_ID) {
+    try {
+      const page = await notion.pages.retrieve({ page_id: env.PROMPT_PAGE_ID });
+      report.pass('Prompt page access', `PROMPT_PAGE_ID ${page.id}`);
+    } catch (error) {
+      report.fail('Prompt page access', error.message, notionHint(error, 'the prompt page', 'PROMPT_PAGE_ID'));
+    }
+  }
+}
+
+// One minimal request per distinct model in the pass settings
+async function checkModels(report, anthropic, passConfig) {
+  const models = new Map();
+  for (const [passId, settings] of Object.entries(passConfig.passes)) {
+    models.set(settings.model, [...(models.get(settings.model) || []), passId]);
+  }
+
+  for (const [model, passes] of models) {
+    const check = `Model ${model}`;
+    try {
+      await anthropic.messages.create({ model, max_tokens: 1, messages: [{ role: 'user', content: 'ping' }] });
+      report.pass(check, `Answers (used by ${passes.join(', ')})`);
+    } catch (error) {
+      report.fail(check, error.message, modelHint(error, model));
+    }
+  }
+}
+
+// Run every check. deps: { notion, anthropic, passConfig, promptLibrary, shortformProperties,
+// usageTracker, threadPublisher, postScheduler }; options.models = false skips the model requests
+async function runDiagnostics(deps, options = {}) {
+  const env = options.env || process.env;
+  const report = createReport();
+
+  checkEnvironment(report, env, deps.passConfig);
+  if (deps.shortformProperties) {
+    checkSettings(report, 'Shortform property map', deps.shortformProperties.configErrors,
+      'Fix SHORTFORM_PROPERTY_MAP - the default property names are used for the invalid entries');
+  }
+  if (deps.usageTracker) {
+    checkSettings(report, 'Model prices', deps.usageTracker.priceErrors,
+      'Fix MODEL_PRICES / MODEL_PRICES_FILE - the built-in prices are used for the invalid entries');
+  }
+
+  if (env.NOTION_TOKEN && await checkNotionToken(report, deps.notion)) {
+    if (env.EMAILS_DATABASE_ID) await checkEmailsDatabase(report, deps.notion, env);
+    if (env.SHORTFORM_DATABASE_ID) await checkShortformDatabase(report, deps.notion, env, deps);
+    await checkPrompt(report, deps.notion, env, deps.promptLibrary);
+  }
+
+  if (env.ANTHROPIC_API_KEY && options.models !== false) {
+    await checkModels(report, deps.anthropic, deps.passConfig);
+  }
+
+  const count = status => report.checks.filter(check => check.status === status).length;
+  return {
+    status: count('fail') > 0 ? 'fail' : 'pass',
+    summary: { pass: count('pass'), warn: count('warn'), fail: count('fail') },
+    checks: report.checks,
+    timestamp: new Date().toISOString()
+  };
+}
+
+function logDiagnostics(result) {
+  const { pass, warn, fail } = result.summary;
+  console.log(`🩺 Setup check: ${pass} passed, ${warn} warning(s), ${fail} failed`);
+  for (const check of result.checks) {
+    if (check.status === 'pass') continue;
+    const icon = check.status === 'fail' ? '❌' : '⚠️';
+    console.log(`   ${icon} ${check.check}: ${check.detail}`);
+    if (check.hint) console.log(`      → ${check.hint}`);
+  }
+}
+
+module.exports = {
+  REQUIRED_ENV,
+  runDiagnostics,
+  logDiagnostics
+};
@@ -2,108 +2,214 @@
 // This replaces your single generateTweetsWithEnhancedQuality() function
 
 const Anthropic = require('@anthropic-ai/sdk');
+const {
+  PLATFORM_PROFILES,
+  formatPlatformCount,
+  truncateForProfile,
+  describeProfileForPrompt
+} = require('./platform-profiles');
+const { NUMBERING_RESERVE, splitPost, numberThread, isNumberingEnabled } = require('./thread-splitter');
+const { OUTPUT_TOOLS, validateTweetConcepts, applyConceptDefaults } = require('./tweet-schema');
+const { requestStructured, repairMessages } = require('./structured-output');
+const { recordUsage } = require('./usage-tracker');
+const { loadPassConfig, messageParams } = require('./pass-config');
+const { chunkByHeadings, mergeInsights, formatDigest } = require('./content-chunker');
+const { RUBRIC_CRITERIA, qualitySettings, overallScore } = require('./quality-rubric');
 
 class EnhancedContentGenerator {
-  constructor(anthropicClient, basePrompt) {
+  constructor(anthropicClient, basePrompt, passConfig = loadPassConfig()) {
     this.anthropic = anthropicClient;
     this.basePrompt = basePrompt;
+    this.passConfig = passConfig;
+    // Last map-reduce digest, reused across the platform variants of one email
+    this.sourceCache = null;
+    // Reason the budget is used up, or null (set by the server; stops refinement rounds)
+    this.budgetCheck = () => null;
   }
 
-  // Robust JSON extraction from Claude responses
-  extractJSON(text) {
-    try {
-      // Try parsing directly first
-      return JSON.parse(text);
-    } catch (e) {
-      console.log('🔍 Direct JSON parse failed, trying extraction methods...');
-      
-      try {
-        // Method 1: Extract from ```json blocks
-        const jsonBlockMatch = text.match(/```json\s*([\s\S]*?)\s*```/);
-        if (jsonBlockMatch) {
-          console.log('✅ Found JSON in code block');
-          return JSON.parse(jsonBlockMatch[1]);
-        }
+  // Model settings (model, maxTokens, temperature, system) for a pass
+  passSettings(passId) {
+    return this.passConfig.passes[passId];
+  }
 
-        // Method 2: Extract from ```javascript blocks  
-        const jsBlockMatch = text.match(/```javascript\s*([\s\S]*?)\s*```/);
-        if (jsBlockMatch) {
-          console.log('✅ Found JSON in JS code block');
-          return JSON.parse(jsBlockMatch[1]);
-        }
+  // Single structured pass (analysis, assessment) through its output tool
+  async requestPass(prompt, tool, passId) {
+    const result = await requestStructured(this.anthropic, {
+      messages: [{ role: 'user', content: prompt }],
+      tool,
+      settings: this.passSettings(passId)
+    });
+    if (result.parseError) {
+      throw new Error(result.parseError);
+    }
+    return result.data;
+  }
 
-        // Method 3: Find JSON object in text
-        const objectMatch = text.match(/\{[\s\S]*\}/);
-        if (objectMatch) {
-          console.log('✅ Found JSON object in text');
-          return JSON.parse(objectMatch[0]);
+  // Ask for tweetConcepts through the submit tool and validate them against the shared
+  // schema. Invalid output is sent back with the validation errors for up to
+  // SCHEMA_REPAIR_ATTEMPTS repairs; valid output gets defaults for missing optional fields
+  async requestTweetConcepts(prompt, passId) {
+    const maxRepairs = parseInt(process.env.SCHEMA_REPAIR_ATTEMPTS || '2', 10);
+    const tool = OUTPUT_TOOLS.tweetConcepts;
+    const settings = this.passSettings(passId);
+    const passLabel = settings.label;
+    const messages = [{ role: 'user', content: prompt }];
+
+    for (let attempt = 0; ; attempt++) {
+      const result = await requestStructured(this.anthropic, { messages, tool, settings });
+      const data = result.data;
+      const errors = result.parseError ? [result.parseError] : validateTweetConcepts(data);
+
+      if (errors.length === 0) {
+        if (attempt > 0) {
+          console.log(`🔧 ${passLabel}: output repaired after ${attempt} attempt(s)`);
         }
+        return applyConceptDefaults(data);
+      }
 
-        // Method 4: Look for response after "Response:" or similar
-        const responseMatch = text.match(/(?:Response|Result|Output):\s*(\{[\s\S]*\})/i);
-        if (responseMatch) {
-          console.log('✅ Found JSON after response indicator');
-          return JSON.parse(responseMatch[1]);
-        }
+      console.log(`⚠️ ${passLabel}: output failed validation (${errors.length} issue(s)): ${errors.slice(0, 5).join('; ')}`);
+      if (attempt >= maxRepairs) {
+        throw new Error(`${passLabel} output still invalid after ${maxRepairs} repair attempt(s): ${errors.slice(0, 5).join('; ')}`);
+      }
+
+      messages.push(...repairMessages(result, `The result did not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Fix these problems and submit the corrected result with the ${tool.name} tool.`));
+    }
+  }
+
+  // --- Map-reduce for long emails ---
+
+  // What generation prompts see of the email: the email itself, or for emails over
+  // MAP_REDUCE_MIN_CHARS a digest of insights extracted per heading section (in parallel),
+  // merged and ranked. Returns { content, instructions, sections }
+  async prepareSource(emailContent) {
+    const fullEmail = { content: emailContent, instructions: '', sections: [] };
+    const threshold = parseInt(process.env.MAP_REDUCE_MIN_CHARS || '12000', 10);
+    if (!threshold || emailContent.length < threshold) {
+      return fullEmail;
+    }
+    if (this.sourceCache && this.sourceCache.emailContent === emailContent) {
+      return this.sourceCache.source;
+    }
 
-        throw new Error('No valid JSON found in response');
-      } catch (parseError) {
-        console.error('❌ All JSON extraction methods failed');
-        console.error('Raw response:', text.substring(0, 200) + '...');
-        throw new Error(`JSON extraction failed: ${parseError.message}`);
+    const chunks = chunkByHeadings(emailContent, {
+      maxChars: parseInt(process.env.MAP_REDUCE_CHUNK_CHARS || '8000', 10)
+    });
+    if (chunks.length < 2) {
+      return fullEmail;
+    }
+
+    console.log(`🧩 Map-reduce: extracting insights from ${chunks.length} sections of a ${emailContent.length}-character email`);
+    const results = await Promise.all(chunks.map(async section => {
+      try {
+        return { section, insights: await this.extractSectionInsights(section) };
+      } catch (e) {
+        console.log(`⚠️ Insight extraction failed for ${section.id} (${section.heading}): ${e.message}`);
+        return { section, insights: [] };
       }
+    }));
+
+    const insights = mergeInsights(results, {
+      limit: parseInt(process.env.MAP_REDUCE_MAX_INSIGHTS || '12', 10)
+    });
+    if (insights.length === 0) {
+      console.log('⚠️ Map-reduce found no insights - using the full email');
+      return fullEmail;
     }
+    console.log(`✅ Map-reduce: ${insights.length} ranked insights from ${chunks.length} sections`);
+
+    const source = {
+      content: `This long email was condensed into ranked insights per section.\n\n${formatDigest(chunks, insights)}`,
+      instructions: 'Build each concept on one of the ranked insights and set its "sourceSection" to the id of the section it comes from (e.g. S2).',
+      sections: chunks.map(({ id, heading }) => ({ id, heading }))
+    };
+    this.sourceCache = { emailContent, source };
+    return source;
+  }
+
+  // Map step: insights from one section
+  async extractSectionInsights(section) {
+    const extractPrompt = `
+Extract the standout insights from this section of a newsletter email. Each insight should
+be able to carry a social post on its own. Keep concrete details, numbers and exact URLs.
+
+SECTION ${section.id}: ${section.heading}
+${section.content}
+
+Submit the result with the ${OUTPUT_TOOLS.sectionInsights.name} tool.`;
+
+    const result = await this.requestPass(extractPrompt, OUTPUT_TOOLS.sectionInsights, 'extract');
+    return result.insights || [];
+  }
+
+  // Resolve sourceSection ids to { id, heading }; later passes that dropped the id
+  // inherit it from the same concept in the draft
+  linkSourceSections(tweetData, source, draft = null) {
+    if (source.sections.length === 0) return tweetData;
+
+    const headings = new Map(source.sections.map(section => [section.id, section.heading]));
+    return {
+      ...tweetData,
+      tweetConcepts: tweetData.tweetConcepts.map((concept, i) => {
+        const fromDraft = draft && draft.tweetConcepts[i] ? draft.tweetConcepts[i].sourceSection : null;
+        const id = headings.has(concept.sourceSection) ? concept.sourceSection : fromDraft;
+        return headings.has(id)
+          ? { ...concept, sourceSection: id, sourceHeading: headings.get(id) }
+          : { ...concept, sourceSection: null, sourceHeading: null };
+      })
+    };
   }
 
-  async generateTweetsWithMultiPass(emailContent, newsletterLink) {
-    console.log('🎯 Starting Multi-Pass Generation Process...');
+  // basePrompt is the email's own prompt (prompt library); the generator is shared by
+  // concurrent jobs, so it is passed per call rather than set on the instance
+  async generateTweetsWithMultiPass(emailContent, newsletterLink, profile = PLATFORM_PROFILES.x, basePrompt = this.basePrompt) {
+    console.log(`🎯 Starting Multi-Pass Generation Process for ${profile.name}...`);
     
     try {
+      // Long emails are condensed per section first (map-reduce)
+      const source = await this.prepareSource(emailContent);
+
       // Pass 1: Content Analysis & Strategy
-      const analysis = await this.analyzeContent(emailContent);
+      const analysis = await this.analyzeContent(source.content);
       console.log('✅ Pass 1: Content Analysis Complete');
       
       // Pass 2: Initial Generation with Analyzed Context
-      const initialDraft = await this.generateInitialDraft(emailContent, analysis);
+      const initialDraft = this.linkSourceSections(
+        await this.generateInitialDraft(source.content, analysis, profile, source.instructions, basePrompt),
+        source
+      );
       console.log('✅ Pass 2: Initial Draft Generated');
       
-      // Pass 3: Quality Assessment & Gap Identification
-      const qualityAssessment = await this.assessQuality(initialDraft);
-      console.log('✅ Pass 3: Quality Assessment Complete');
-      
-      // Pass 4: Targeted Refinement
-      let refinedContent;
-      if (qualityAssessment.needsRefinement) {
-        refinedContent = await this.refineContent(initialDraft, qualityAssessment.feedback);
-        console.log('✅ Pass 4: Content Refined');
-      } else {
-        refinedContent = initialDraft;
-        console.log('✅ Pass 4: No refinement needed');
-      }
+      // Pass 3: CTA Enhancement (before scoring, so the rubric judges the final CTAs)
+      const withCTAs = await this.enhanceCTAs(initialDraft, newsletterLink, analysis, profile);
+      console.log('✅ Pass 3: CTAs Enhanced');
       
-      // Pass 5: Final CTA Enhancement
-      const finalContent = await this.enhanceCTAs(refinedContent, newsletterLink, analysis);
-      console.log('✅ Pass 5: CTAs Enhanced');
+      // Passes 4-5: Rubric scoring and refinement until every concept clears the threshold
+      const finalContent = await this.refineUntilThreshold(withCTAs, profile);
+      console.log('✅ Passes 4-5: Quality Scoring & Refinement Complete');
       
       // Pass 6: Final Validation
-      const validatedContent = await this.finalValidation(finalContent);
+      const validatedContent = this.linkSourceSections(await this.finalValidation(finalContent, profile), source, initialDraft);
       console.log('✅ Pass 6: Final Validation Complete');
       
       console.log('🎉 Multi-Pass Generation Complete');
-      return validatedContent;
+      return {
+        ...validatedContent,
+        generation: { mode: 'Multi-pass', model: this.passSettings('draft').model }
+      };
       
     } catch (error) {
       console.error('❌ Multi-Pass Generation Error:', error);
       // Fallback to single-pass generation
-      return this.fallbackGeneration(emailContent);
+      return this.fallbackGeneration(emailContent, profile, basePrompt);
     }
   }
 
   // PASS 1: Analyze content for optimal approach
   async analyzeContent(emailContent) {
     const analysisPrompt = `
-CRITICAL: Respond with ONLY valid JSON. No explanations, no markdown formatting, no text before or after the JSON.
-
 Analyze this email content to inform tweet generation strategy:
 
 EMAIL CONTENT:
@@ -122,25 +228,10 @@ Analyze for:
    - Contrarian Take
    - Experience Share
 
-Your response must be exactly this JSON format with no additional text:
-{
-  "contentType": "",
-  "coreTheme": "",
-  "keyInsights": ["", "", ""],
-  "audienceLevel": "",
-  "emotionalTone": "",
-  "recommendedTemplates": ["", ""],
-  "complexityNotes": ""
-}`;
-
-    const response = await this.anthropic.messages.create({
-      model: process.env.CLAUDE_MODEL_NAME || 'claude-3-5-sonnet-20241022',
-      max_tokens: 1000,
-      messages: [{ role: 'user', content: analysisPrompt }]
-    });
+Submit the result with the ${OUTPUT_TOOLS.analysis.name} tool.`;
 
     try {
-      return this.extractJSON(response.content[0].text);
+      return await this.requestPass(analysisPrompt, OUTPUT_TOOLS.analysis, 'analysis');
     } catch (e) {
       console.log('⚠️ Analysis parsing failed, using defaults');
       return {
@@ -156,10 +247,8 @@ Your response must be exactly this JSON format with no additional text:
   }
 
   // PASS 2: Generate initial draft with analyzed context
-  async generateInitialDraft(emailContent, analysis) {
+  async generateInitialDraft(emailContent, analysis, profile = PLATFORM_PROFILES.x, sourceInstructions = '', basePrompt = this.basePrompt) {
     const enhancedPrompt = `
-CRITICAL: Respond with ONLY valid JSON. No explanations, no markdown formatting, no text before or after the JSON.
-
 CONTENT ANALYSIS CONTEXT:
 - Content Type: ${analysis.contentType}
 - Core Theme: ${analysis.coreTheme}
@@ -170,113 +259,166 @@ CONTENT ANALYSIS CONTEXT:
 GENERATION FOCUS:
 Based on this analysis, generate tweets that leverage the ${analysis.contentType} format with ${analysis.emotionalTone} tone, targeting ${analysis.audienceLevel} audience.
 
-${this.basePrompt}
+${basePrompt}
+${describeProfileForPrompt(profile)}
 
-EMAIL CONTENT TO TRANSFORM:
+EMAIL CONTENT TO TRANSFORM (Markdown - links are written as [text](url)):
 ${emailContent}
 
 Focus on the recommended templates and ensure each tweet captures one of the identified key insights while maintaining the analyzed emotional tone.
+When a tweet references a resource mentioned in the email, cite its exact URL from the content above.
+${sourceInstructions}
 
-Your response must be exactly this JSON format with no additional text:
-{
-  "tweetConcepts": [
-    {
-      "concept": "",
-      "strategy": "",
-      "mainContent": {
-        "posts": [""],
-        "characterCounts": [""]
-      },
-      "cta": ""
-    }
-  ]
-}`;
-
-    const response = await this.anthropic.messages.create({
-      model: process.env.CLAUDE_MODEL_NAME || 'claude-3-5-sonnet-20241022',
-      max_tokens: 4000,
-      messages: [{ role: 'user', content: enhancedPrompt }]
-    });
+Submit the result with the ${OUTPUT_TOOLS.tweetConcepts.name} tool.`;
 
     try {
-      return this.extractJSON(response.content[0].text);
+      return await this.requestTweetConcepts(enhancedPrompt, 'draft');
     } catch (e) {
-      console.error('❌ Initial draft JSON parsing failed');
-      console.error('Raw response:', response.content[0].text.substring(0, 300) + '...');
+      console.error('❌ Initial draft failed:', e.message);
       throw new Error('Failed to generate initial draft');
     }
   }
 
-  // PASS 3: Assess quality and identify specific improvement areas
+  // PASS 4: Score every concept on the rubric. Returns one entry per concept, in order:
+  // { scores, overall, strengths, weaknesses, improvements }, or null where no usable
+  // scores came back (a failed assessment leaves every concept unscored)
   async assessQuality(tweetData) {
     const qualityPrompt = `
-CRITICAL: Respond with ONLY valid JSON. No explanations, no markdown formatting, no text before or after the JSON.
-
-Assess these tweets against high-quality standards and identify specific improvement areas:
+Score these posts against the quality rubric and identify specific improvement areas:
 
-TWEETS TO ASSESS:
+CONCEPTS TO ASSESS:
 ${JSON.stringify(tweetData, null, 2)}
 
-QUALITY CRITERIA:
-1. Hook Strength: Does each tweet grab attention immediately?
-2. Aha Moment Clarity: Is there ONE clear insight per tweet?
-3. What-Why-Where Completeness: Are all cycles present and clear?
-4. Mechanism Explanation: Are concepts explained, not just named?
-5. Audience Context: Is necessary background provided?
-6. CTA Specificity: Are CTAs unique and tied to specific content?
-7. Natural Flow: Does it sound conversational, not AI-generated?
+RUBRIC (score each criterion from 1 = poor to 10 = excellent):
+${RUBRIC_CRITERIA.map((criterion, i) => `${i + 1}. ${criterion.label}: ${criterion.description}`).join('\n')}
 
-For each tweet, identify:
+For each concept, identify:
 - What's working well
 - Specific gaps or weaknesses
 - Concrete improvement suggestions
 
-Your response must be exactly this JSON format with no additional text:
-{
-  "overallQuality": "High/Medium/Low",
-  "needsRefinement": true,
-  "feedback": {
-    "tweet1": {
-      "strengths": [""],
-      "weaknesses": [""],
-      "improvements": [""]
-    },
-    "tweet2": {
-      "strengths": [""],
-      "weaknesses": [""],
-      "improvements": [""]
-    },
-    "globalIssues": [""],
-    "priorityFixes": [""]
-  }
-}`;
-
-    const response = await this.anthropic.messages.create({
-      model: process.env.CLAUDE_MODEL_NAME || 'claude-3-5-sonnet-20241022',
-      max_tokens: 2000,
-      messages: [{ role: 'user', content: qualityPrompt }]
-    });
+Give one entry for every concept, in order, under concepts (number = the concept's number field).
+Submit the result with the ${OUTPUT_TOOLS.assessment.name} tool.`;
 
+    let assessment;
     try {
-      return this.extractJSON(response.content[0].text);
+      assessment = await this.requestPass(qualityPrompt, OUTPUT_TOOLS.assessment, 'assessment');
     } catch (e) {
-      console.log('⚠️ Quality assessment parsing failed, assuming refinement needed');
+      console.log(`⚠️ Quality assessment failed (${e.message}) - concepts left unscored`);
+      return tweetData.tweetConcepts.map(() => null);
+    }
+
+    // Refinement rounds score a subset, so entries are matched on the concept's own number
+    const entries = Array.isArray(assessment.concepts) ? assessment.concepts : [];
+    return tweetData.tweetConcepts.map((concept, i) => {
+      const number = concept.number || i + 1;
+      const entry = entries.find(item => item && item.number === number) || entries[i];
+      const overall = entry ? overallScore(entry.scores) : null;
+      if (overall === null) return null;
       return {
-        overallQuality: "Medium",
-        needsRefinement: true,
-        feedback: {
-          globalIssues: ["Assessment parsing failed"],
-          priorityFixes: ["General improvement pass needed"]
-        }
+        scores: entry.scores,
+        overall,
+        strengths: entry.strengths || [],
+        weaknesses: entry.weaknesses || [],
+        improvements: entry.improvements || []
+      };
+    });
+  }
+
+  // PASS 4-5: Refine the concepts scoring below QUALITY_THRESHOLD and re-score them, round
+  // after round, until all pass, QUALITY_MAX_ITERATIONS rounds are done or the budget runs
+  // out. A refined concept only replaces the previous one if it doesn't score lower, so
+  // refinement stops as soon as scoring fails. Every concept comes back with its rubric
+  // result ({ scores, overall, passed, threshold, refinements }) and qualityScore
+  async refineUntilThreshold(tweetData, profile = PLATFORM_PROFILES.x) {
+    const { threshold, maxIterations } = qualitySettings();
+    const concepts = [...tweetData.tweetConcepts];
+    const results = await this.assessQuality({ tweetConcepts: concepts });
+    const refinements = concepts.map(() => 0);
+
+    if (results.every(result => result === null)) {
+      console.log('⚠️ Concepts could not be scored - skipping refinement');
+      return tweetData;
+    }
+
+    for (let round = 1; ; round++) {
+      const below = concepts.map((_, i) => i).filter(i => !results[i] || results[i].overall < threshold);
+      if (below.length === 0) {
+        console.log(`✅ All ${concepts.length} concepts score ${threshold}+`);
+        break;
+      }
+      if (round > maxIterations) {
+        console.log(`⚠️ ${below.length} concept(s) still below ${threshold} after ${maxIterations} refinement round(s)`);
+        break;
+      }
+      const budgetReason = this.budgetCheck();
+      if (budgetReason) {
+        console.log(`💸 Stopping refinement: ${budgetReason}`);
+        break;
+      }
+
+      console.log(`🔁 Refinement round ${round}: ${below.length} concept(s) below ${threshold}`);
+      const subset = { tweetConcepts: below.map(i => concepts[i]) };
+      const feedback = {
+        threshold,
+        concepts: below.map(i => ({ number: concepts[i].number, ...(results[i] || { weaknesses: ['Not scored - improve overall quality'] }) }))
       };
+
+      const refined = await this.refineContent(subset, feedback, profile);
+      if (refined === subset || refined.tweetConcepts.length !== below.length) {
+        console.log('⚠️ Refinement did not return the concepts it was given - keeping current versions');
+        break;
+      }
+
+      // Numbering, titles and source sections stay with the concept being refined
+      refined.tweetConcepts = refined.tweetConcepts.map((concept, n) => {
+        const original = concepts[below[n]];
+        return {
+          ...concept,
+          number: original.number,
+          title: original.title,
+          sourceSection: original.sourceSection,
+          sourceHeading: original.sourceHeading
+        };
+      });
+
+      const rescored = await this.assessQuality(refined);
+      if (rescored.every(result => result === null)) {
+        console.log('⚠️ Refined concepts could not be scored - keeping current versions');
+        break;
+      }
+      below.forEach((i, n) => {
+        refinements[i]++;
+        const previous = results[i] ? results[i].overall : -1;
+        if (rescored[n] && rescored[n].overall >= previous) {
+          concepts[i] = refined.tweetConcepts[n];
+          results[i] = rescored[n];
+        }
+      });
     }
+
+    return {
+      ...tweetData,
+      tweetConcepts: concepts.map((concept, i) => {
+        if (!results[i]) return concept;
+        return {
+          ...concept,
+          qualityScore: results[i].overall,
+          rubric: {
+            scores: results[i].scores,
+            overall: results[i].overall,
+            passed: results[i].overall >= threshold,
+            threshold,
+            refinements: refinements[i]
+          }
+        };
+      })
+    };
   }
 
-  // PASS 4: Targeted refinement based on quality assessment
-  async refineContent(tweetData, qualityFeedback) {
+  // PASS 5: Targeted refinement based on quality assessment
+  async refineContent(tweetData, qualityFeedback, profile = PLATFORM_PROFILES.x) {
     const refinementPrompt = `
-CRITICAL: Respond with ONLY valid JSON. No explanations, no markdown formatting, no text before or after the JSON.
-
 REFINEMENT TASK:
 Improve these tweets based on specific quality feedback.
 
@@ -295,48 +437,130 @@ REFINEMENT INSTRUCTIONS:
 6. Enhance audience context where lacking
 7. Make CTAs more specific and unique
 
-Maintain the same JSON structure but with improved content. Focus on the priority fixes first.
+Keep the same concepts, in the same order, with the same fields but improved content.
+Scores are 1-10 per rubric criterion; focus on the lowest-scoring criteria first.
 
 Requirements:
-- Keep character limits under 500 per post
+- Keep every post within ${profile.getLimit()} characters on ${profile.name} (${profile.countingRule})
 - Maintain authentic conversational tone
+- Keep each CTA's link exactly as written, as its final element
 - Ensure each improvement directly addresses feedback
 - Don't change what's already working well
 
-Your response must be exactly this JSON format with no additional text:
-{
-  "tweetConcepts": [
-    {
-      "concept": "",
-      "strategy": "",
-      "mainContent": {
-        "posts": [""],
-        "characterCounts": [""]
-      },
-      "cta": ""
+Submit the result with the ${OUTPUT_TOOLS.tweetConcepts.name} tool.`;
+
+    try {
+      return await this.requestTweetConcepts(refinementPrompt, 'refinement');
+    } catch (e) {
+      console.log('⚠️ Refinement failed validation, returning original');
+      return tweetData;
     }
-  ]
-}`;
+  }
 
-    const response = await this.anthropic.messages.create({
-      model: process.env.CLAUDE_MODEL_NAME || 'claude-3-5-sonnet-20241022',
-      max_tokens: 4000,
-      messages: [{ role: 'user', content: refinementPrompt }]
-    });
+  // Single-concept refinement from reviewer comments left on its Shortform page. comments
+  // are { text, context, createdTime } (context: the block they were left on, if any).
+  // The result goes through the same final validation as generated concepts
+  async refineConceptFromComments(concept, comments, profile = PLATFORM_PROFILES.x) {
+    const feedback = comments
+      .map(comment => `- ${comment.context ? `[on "${comment.context}"] ` : ''}${comment.text}`)
+      .join('\n');
+
+    const refinementPrompt = `
+REFINEMENT TASK:
+Revise this ${profile.name} concept based on reviewer comments left on it.
+
+CURRENT CONCEPT:
+${JSON.stringify({ tweetConcepts: [concept] }, null, 2)}
+
+REVIEWER COMMENTS (oldest first):
+${feedback}
+
+REFINEMENT INSTRUCTIONS:
+1. Address every comment specifically; where comments conflict, follow the most recent one
+2. Change only what the comments ask for (or what a fix requires) - keep what's working
+3. Keep the same core concept, facts and links; the CTA link stays the final element
+4. Update qualityValidation to say which comments were addressed and how
+
+Requirements:
+- Keep every post within ${profile.getLimit()} characters on ${profile.name} (${profile.countingRule})
+- Maintain authentic conversational tone
+- Return exactly one concept
+
+Submit the result with the ${OUTPUT_TOOLS.tweetConcepts.name} tool.`;
+
+    const result = await this.requestTweetConcepts(refinementPrompt, 'commentRefinement');
+    const refined = {
+      ...result.tweetConcepts[0],
+      number: concept.number,
+      title: concept.title
+    };
+
+    const validated = await this.finalValidation({ tweetConcepts: [refined] }, profile);
+    return validated.tweetConcepts[0];
+  }
+
+  // Rewrite concepts that repeat the hook or angle of recent posts from other emails.
+  // repeats[i] is the match for tweetData.tweetConcepts[i] (see SimilarityIndex.findMatch).
+  // Returns the rewritten concepts, or null when the rewrite fails
+  async rewriteRepeatedConcepts(tweetData, repeats, profile = PLATFORM_PROFILES.x) {
+    const earlier = repeats.map((repeat, i) => {
+      const problem = repeat.kind === 'opening'
+        ? `opens with the same words ("${repeat.phrase}...")`
+        : `${repeat.kind} is ${Math.round(repeat.score * 100)}% similar`;
+      return `${i + 1}. Earlier hook: "${repeat.hook}"\n   Earlier angle: "${repeat.angle}"\n   Problem: ${problem}`;
+    }).join('\n');
+
+    const rewritePrompt = `
+REWRITE TASK:
+These ${profile.name} concepts repeat posts published in the last few weeks. Readers have
+seen those hooks and angles already - rewrite each concept so it doesn't read like the earlier post.
+
+CONCEPTS:
+${JSON.stringify(tweetData, null, 2)}
+
+EARLIER POSTS THEY REPEAT (same order as the concepts):
+${earlier}
+
+REWRITE INSTRUCTIONS:
+1. Open with a different kind of hook - don't reuse the earlier opening words or their pattern
+2. Where the angle repeats, come at the insight from another side (a different example, consequence or mechanism)
+3. Keep the facts and links from the email; the CTA link stays the final element
+4. Keep the same concepts, in the same order, with the same fields
+
+Requirements:
+- Keep every post within ${profile.getLimit()} characters on ${profile.name} (${profile.countingRule})
+- Maintain authentic conversational tone
+
+Submit the result with the ${OUTPUT_TOOLS.tweetConcepts.name} tool.`;
 
     try {
-      return this.extractJSON(response.content[0].text);
+      const result = await this.requestTweetConcepts(rewritePrompt, 'repeatRewrite');
+      if (result.tweetConcepts.length !== tweetData.tweetConcepts.length) {
+        console.log('⚠️ Repeat rewrite did not return the concepts it was given - keeping current versions');
+        return null;
+      }
+
+      // Numbering, titles and source sections stay; scores no longer apply to the new text
+      const rewritten = result.tweetConcepts.map((concept, i) => {
+        const original = tweetData.tweetConcepts[i];
+        return {
+          ...concept,
+          number: original.number,
+          title: original.title,
+          sourceSection: original.sourceSection,
+          sourceHeading: original.sourceHeading
+        };
+      });
+      return await this.finalValidation({ tweetConcepts: rewritten }, profile);
     } catch (e) {
-      console.log('⚠️ Refinement parsing failed, returning original');
-      return tweetData;
+      console.log('⚠️ Repeat rewrite failed, keeping current versions:', e.message);
+      return null;
     }
   }
 
-  // PASS 5: Enhance CTAs with specific newsletter link and bridge language
-  async enhanceCTAs(tweetData, newsletterLink, analysis) {
+  // PASS 3: Enhance CTAs with specific newsletter link and bridge language
+  async enhanceCTAs(tweetData, newsletterLink, analysis, profile = PLATFORM_PROFILES.x) {
     const ctaPrompt = `
-CRITICAL: Respond with ONLY valid JSON. No explanations, no markdown formatting, no text before or after the JSON.
-
 TASK: Enhance CTAs with specific newsletter link and improved bridge language.
 
 CURRENT TWEETS:
@@ -354,7 +578,7 @@ CTA ENHANCEMENT REQUIREMENTS:
 2. Create specific bridges that reference the exact concept from each tweet
 3. Make each CTA unique to its specific content
 4. Ensure link is the final element (nothing after)
-5. Keep under 500 characters
+5. Keep within ${profile.getLimit()} characters on ${profile.name} (${profile.countingRule})
 6. Make the transition feel natural and valuable
 
 For each tweet, create a CTA that:
@@ -363,117 +587,148 @@ For each tweet, create a CTA that:
 - Positions the newsletter as the logical next step
 - Feels conversational, not salesy
 
-Your response must be exactly this JSON format with no additional text:
-{
-  "tweetConcepts": [
-    {
-      "concept": "",
-      "strategy": "",
-      "mainContent": {
-        "posts": [""],
-        "characterCounts": [""]
-      },
-      "cta": ""
-    }
-  ]
-}`;
-
-    const response = await this.anthropic.messages.create({
-      model: process.env.CLAUDE_MODEL_NAME || 'claude-3-5-sonnet-20241022',
-      max_tokens: 3000,
-      messages: [{ role: 'user', content: ctaPrompt }]
-    });
+Submit the result with the ${OUTPUT_TOOLS.tweetConcepts.name} tool.`;
 
     try {
-      return this.extractJSON(response.content[0].text);
+      return await this.requestTweetConcepts(ctaPrompt, 'cta');
     } catch (e) {
-      console.log('⚠️ CTA enhancement parsing failed, returning previous version');
+      console.log('⚠️ CTA enhancement failed validation, returning previous version');
       return tweetData;
     }
   }
 
   // PASS 6: Final validation and character count verification
-  async finalValidation(tweetData) {
-    // Validate character counts and structure
-    const validatedData = {
-      tweetConcepts: tweetData.tweetConcepts.map((tweet, index) => {
-        // Validate and fix character counts
-        const validatedPosts = tweet.mainContent.posts.map(post => {
-          if (post.length > 500) {
-            console.log(`⚠️ Tweet ${index + 1} post exceeds 500 chars: ${post.length}`);
-            // Truncate if over limit (could be enhanced to split properly)
-            return post.substring(0, 497) + '...';
-          }
-          return post;
-        });
-
-        const validatedCharCounts = validatedPosts.map(post => 
-          `${post.length}/500 ${post.length <= 500 ? '✅' : '❌'}`
-        );
-
-        // Validate CTA length
-        let validatedCTA = tweet.cta;
-        if (tweet.cta.length > 500) {
-          console.log(`⚠️ Tweet ${index + 1} CTA exceeds 500 chars: ${tweet.cta.length}`);
-          validatedCTA = tweet.cta.substring(0, 497) + '...';
-        }
+  async finalValidation(tweetData, profile = PLATFORM_PROFILES.x) {
+    const limit = profile.getLimit();
+    const numbering = profile.supportsThreads && isNumberingEnabled();
+    // Leave room for the " 1/n" suffix when threads are numbered
+    const postLimit = numbering ? limit - NUMBERING_RESERVE : limit;
+
+    // Validate character counts and structure (counted the way the platform counts them)
+    const tweetConcepts = [];
+
+    for (const [index, tweet] of tweetData.tweetConcepts.entries()) {
+      const label = `Tweet ${index + 1}`;
+
+      // Platforms without threads get the main content as one post
+      const sourcePosts = profile.supportsThreads
+        ? tweet.mainContent.posts
+        : [tweet.mainContent.posts.join('\n\n')];
+
+      // Over-limit posts become extra thread posts instead of being truncated
+      let validatedPosts = [];
+      for (const post of sourcePosts) {
+        validatedPosts.push(...await this.fitPost(post, postLimit, label, profile));
+      }
 
-        return {
-          ...tweet,
-          mainContent: {
-            posts: validatedPosts,
-            characterCounts: validatedCharCounts
-          },
-          cta: validatedCTA
-        };
-      })
-    };
+      // An over-limit CTA keeps its last part (with the link) as the CTA;
+      // the parts before it join the thread
+      const ctaParts = await this.fitPost(tweet.cta, postLimit, `${label} CTA`, profile);
+      validatedPosts.push(...ctaParts.slice(0, -1));
+      const validatedCTA = ctaParts[ctaParts.length - 1];
+
+      // The CTA stays unnumbered so its link remains the final element
+      if (numbering) {
+        validatedPosts = numberThread(validatedPosts);
+      }
+
+      tweetConcepts.push({
+        ...tweet,
+        mainContent: {
+          posts: validatedPosts,
+          characterCounts: validatedPosts.map(post => formatPlatformCount(post, profile))
+        },
+        cta: validatedCTA
+      });
+    }
+
+    const errors = validateTweetConcepts({ tweetConcepts });
+    if (errors.length > 0) {
+      throw new Error(`Final validation produced invalid concepts: ${errors.slice(0, 5).join('; ')}`);
+    }
 
     console.log('✅ Final validation complete - all character limits enforced');
-    return validatedData;
+    return applyConceptDefaults({ tweetConcepts });
+  }
+
+  // Make a post fit the limit: split it at sentence/clause boundaries (thread platforms only),
+  // or if that isn't possible ask the model to rewrite just this post. Truncation is the last resort
+  async fitPost(post, limit, label, profile = PLATFORM_PROFILES.x) {
+    const length = profile.measure(post);
+    if (length <= limit) {
+      return [post];
+    }
+
+    console.log(`⚠️ ${label} post exceeds ${limit} chars: ${length}`);
+
+    const parts = profile.supportsThreads ? splitPost(post, limit, { measure: profile.measure }) : null;
+    if (parts) {
+      console.log(`✂️ ${label}: split into ${parts.length} thread posts`);
+      return parts;
+    }
+
+    try {
+      const rewritten = await this.rewritePostToFit(post, limit, profile);
+      if (profile.measure(rewritten) <= limit) {
+        console.log(`✍️ ${label}: rewritten to ${profile.measure(rewritten)} chars`);
+        return [rewritten];
+      }
+      console.log(`⚠️ ${label}: rewrite still ${profile.measure(rewritten)} chars`);
+    } catch (e) {
+      console.log(`⚠️ ${label}: rewrite failed (${e.message})`);
+    }
+
+    console.log(`⚠️ ${label}: truncating as last resort`);
+    return [truncateForProfile(post, profile, limit)];
+  }
+
+  // Targeted rewrite of a single post that could not be split cleanly
+  async rewritePostToFit(post, limit, profile = PLATFORM_PROFILES.x) {
+    const rewritePrompt = `
+Rewrite this ${profile.name} post so it is at most ${limit} characters (${profile.countingRule}).
+
+Rules:
+- Keep the same hook, insight and voice
+- Keep every link, hashtag and @mention exactly as written
+- Respond with ONLY the rewritten post text - no quotes, no explanations
+
+POST:
+${post}`;
+
+    const settings = this.passSettings('rewrite');
+    const response = await this.anthropic.messages.create(
+      messageParams(settings, [{ role: 'user', content: rewritePrompt }])
+    );
+    recordUsage(settings.label, response);
+
+    return response.content[0].text.trim();
   }
 
   // Fallback single-pass generation if multi-pass fails
-  async fallbackGeneration(emailContent) {
+  async fallbackGeneration(emailContent, profile = PLATFORM_PROFILES.x, basePrompt = this.basePrompt) {
     console.log('🔄 Using fallback single-pass generation...');
-    
+
+    const source = await this.prepareSource(emailContent).catch(() => ({ content: emailContent, instructions: '', sections: [] }));
     const fallbackPrompt = `
-CRITICAL: Respond with ONLY valid JSON. No explanations, no markdown formatting, no text before or after the JSON.
+${basePrompt}
+${describeProfileForPrompt(profile)}
 
-${this.basePrompt}
+EMAIL CONTENT (Markdown - links are written as [text](url)):
+${source.content}
 
-EMAIL CONTENT:
-${emailContent}
+When a post references a resource mentioned in the email, cite its exact URL from the content above.
+${source.instructions}
 
-Your response must be exactly this JSON format with no additional text:
-{
-  "tweetConcepts": [
-    {
-      "concept": "",
-      "strategy": "",
-      "mainContent": {
-        "posts": [""],
-        "characterCounts": [""]
-      },
-      "cta": ""
-    }
-  ]
-}`;
+Submit the result with the ${OUTPUT_TOOLS.tweetConcepts.name} tool.`;
     
-    const response = await this.anthropic.messages.create({
-      model: process.env.CLAUDE_MODEL_NAME || 'claude-3-5-sonnet-20241022',
-      max_tokens: 4000,
-      messages: [{ 
-        role: 'user', 
-        content: fallbackPrompt
-      }]
-    });
-
     try {
-      return this.extractJSON(response.content[0].text);
+      const draft = await this.requestTweetConcepts(fallbackPrompt, 'fallback');
+      return {
+        ...this.linkSourceSections(await this.finalValidation(draft, profile), source, draft),
+        generation: { mode: 'Fallback', model: this.passSettings('fallback').model }
+      };
     } catch (e) {
-      console.error('❌ Even fallback generation failed');
-      console.error('Raw response:', response.content[0].text.substring(0, 300) + '...');
+      console.error('❌ Even fallback generation failed:', e.message);
       throw new Error('Complete generation failure');
     }
   }
@@ -1,79 +1,128 @@
 const express = require('express');
+const crypto = require('crypto');
 const { Client } = require('@notionhq/client');
 const Anthropic = require('@anthropic-ai/sdk'); 
 
+const {
+  getWebhookSecurityConfig,
+  createWebhookGuard,
+  createApiTokenGuard,
+  captureRawBody
+} = require('./webhook-security');
+const JobQueue = require('./job-queue');
+const { normalizeId, queryAll, extractPageMarkdown } = require('./notion-content');
+const { createPageWithBlocks } = require('./notion-blocks');
+const { buildConceptBlocks } = require('./concept-page');
+const PromptLibrary = require('./prompt-library');
+const { getCharacterLimit } = require('./character-counter');
+const {
+  PLATFORM_PROFILES,
+  getRequestedPlatforms,
+  describeProfileForPrompt
+} = require('./platform-profiles');
+const XClient = require('./x-client');
+const ThreadPublisher = require('./publisher');
+const PostScheduler = require('./scheduler');
+const { OUTPUT_TOOLS } = require('./tweet-schema');
+const { wrapClient, createApiStats, trackApiCalls } = require('./api-resilience');
+const UsageTracker = require('./usage-tracker');
+const { loadPassConfig, describePassConfig } = require('./pass-config');
+const ShortformProperties = require('./shortform-properties');
+const ConceptRefiner = require('./concept-refiner');
+const SimilarityIndex = require('./similarity-index');
+const { REQUIRED_ENV, runDiagnostics, logDiagnostics } = require('./diagnostics');
+const { trackUsage, currentLedger, usageSince } = UsageTracker;
+
 const app = express();
 const PORT = process.env.PORT || 8000;
 
-// Middleware for parsing JSON bodies
-app.use(express.json());
+// Railway terminates TLS at a proxy, so trust it for the client IP used in rate limiting
+app.set('trust proxy', 1);
+
+// Webhook authentication, replay protection and rate limiting settings
+const webhookSecurity = getWebhookSecurityConfig();
+
+// Middleware for parsing JSON bodies (raw bytes kept for signature checks)
+app.use(express.json({ limit: webhookSecurity.bodyLimit, verify: captureRawBody }));
 
-// Initialize clients (will use environment variables)
-const notion = new Client({ auth: process.env.NOTION_TOKEN });
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+// Initialize clients (will use environment variables). Every call goes through the shared
+// rate limiter / retry wrapper, so the Anthropic SDK's own retries are turned off
+const notion = wrapClient('notion', new Client({ auth: process.env.NOTION_TOKEN }));
+const anthropic = wrapClient('anthropic', new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: 0 }));
 
 // NEW: Import the enhanced content generator
 const EnhancedContentGenerator = require('./enhanced-content-generator');
-const contentGenerator = new EnhancedContentGenerator(anthropic, null);
+// Model, max_tokens, temperature and system prompt per generation pass
+const passConfig = loadPassConfig();
+const contentGenerator = new EnhancedContentGenerator(anthropic, null, passConfig);
 
-// CRITICAL FIX: Robust JSON extraction utility function
-function extractJSON(text) {
-  try {
-    // Try parsing directly first
-    return JSON.parse(text);
-  } catch (e) {
-    console.log('🔍 Direct JSON parse failed, trying extraction methods...');
-    
-    try {
-      // Method 1: Extract from ```json blocks
-      const jsonBlockMatch = text.match(/```json\s*([\s\S]*?)\s*```/);
-      if (jsonBlockMatch) {
-        console.log('✅ Found JSON in code block');
-        return JSON.parse(jsonBlockMatch[1]);
-      }
+// Prompt pages are chosen per email from the Notion prompt library
+const promptLibrary = new PromptLibrary(notion);
 
-      // Method 2: Extract from ```javascript blocks  
-      const jsBlockMatch = text.match(/```javascript\s*([\s\S]*?)\s*```/);
-      if (jsBlockMatch) {
-        console.log('✅ Found JSON in JS code block');
-        return JSON.parse(jsBlockMatch[1]);
-      }
+// Token usage, cost per pass and the monthly spend checked against budgets
+const usageTracker = new UsageTracker();
 
-      // Method 3: Find JSON object in text
-      const objectMatch = text.match(/\{[\s\S]*\}/);
-      if (objectMatch) {
-        console.log('✅ Found JSON object in text');
-        return JSON.parse(objectMatch[0]);
-      }
+// Quality refinement rounds stop once a budget is used up
+contentGenerator.budgetCheck = () => usageTracker.budgetExceeded(currentLedger());
 
-      // Method 4: Look for response after "Response:" or similar
-      const responseMatch = text.match(/(?:Response|Result|Output):\s*(\{[\s\S]*\})/i);
-      if (responseMatch) {
-        console.log('✅ Found JSON after response indicator');
-        return JSON.parse(responseMatch[1]);
-      }
+// Concept metadata written to Shortform database properties (SHORTFORM_PROPERTY_MAP)
+const shortformProperties = new ShortformProperties(notion);
 
-      throw new Error('No valid JSON found in response');
-    } catch (parseError) {
-      console.error('❌ All JSON extraction methods failed');
-      console.error('Raw response:', text.substring(0, 200) + '...');
-      throw new Error(`JSON extraction failed: ${parseError.message}`);
-    }
-  }
+// Recent Shortform concepts that new ones are checked against for repeated hooks and angles
+const similarityIndex = new SimilarityIndex(notion);
+
+// Durable job queue: webhook calls become persisted jobs with retries
+const jobQueue = new JobQueue();
+jobQueue.registerHandler('process-email', payload => processEmailAutomation(payload.pageId, { regenerate: payload.regenerate === true }));
+
+// Publishing approved Shortform threads to X (off unless ENABLE_PUBLISHING=true)
+const xClient = new XClient();
+const threadPublisher = new ThreadPublisher(notion, xClient);
+jobQueue.registerHandler('publish-thread', (payload, job) =>
+  threadPublisher.publishPage(payload.pageId, { lastAttempt: job.attempts >= job.maxAttempts })
+);
+
+// Single concepts revised from reviewer comments on their Shortform page
+const conceptRefiner = new ConceptRefiner(notion, contentGenerator, { shortformProperties, similarityIndex });
+jobQueue.registerHandler('refine-concept', payload =>
+  trackUsage(usageTracker, usageTracker.createLedger(), () => conceptRefiner.refinePage(payload.pageId))
+);
+
+// Approved pages get a posting slot and are published when it comes due (ENABLE_SCHEDULER=true)
+const schedulerEnabled = process.env.ENABLE_SCHEDULER === 'true';
+const postScheduler = schedulerEnabled ? new PostScheduler(notion) : null;
+
+// In-flight automation runs keyed by normalised page ID (a second trigger attaches to the first)
+const pageLocks = new Map();
+
+function emailJobKey(pageId) {
+  return `process-email:${normalizeId(pageId)}`;
+}
+
+function regenerateJobKey(pageId) {
+  return `regenerate-email:${normalizeId(pageId)}`;
+}
+
+function refineJobKey(pageId) {
+  return `refine-concept:${normalizeId(pageId)}`;
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
 }
 
+const apiGuard = createApiTokenGuard();
+// Diagnostics make model requests and show database IDs, so they are never open
+const requiredApiGuard = createApiTokenGuard(process.env.API_TOKEN, { required: true });
+
+// Endpoints that start paid generation runs use the webhook authentication (one guard, so
+// the replay check and rate limit are shared with /webhook)
+const webhookGuard = createWebhookGuard(webhookSecurity);
+
 // --- Environment Validation ---
 
 function validateEnvironment() {
-  const required = [
-    'NOTION_TOKEN',
-    'ANTHROPIC_API_KEY',
-    'EMAILS_DATABASE_ID',
-    'SHORTFORM_DATABASE_ID',
-    'CLAUDE_MODEL_NAME' 
-  ];
-
-  const missing = required.filter(key => !process.env[key]);
+  const missing = REQUIRED_ENV.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
     console.error(`❌ Missing required environment variables: ${missing.join(', ')}`);
@@ -103,7 +152,12 @@ app.get('/', (req, res) => {
     version: '14.0 - Multi-Pass Generation System',
     endpoints: {
       health: '/',
-      webhook: '/webhook'
+      webhook: '/webhook',
+      regenerate: '/regenerate/:pageId',
+      refine: '/refine/:pageId',
+      diagnostics: '/diagnostics',
+      jobs: '/jobs',
+      job: '/jobs/:id'
     },
     config: {
         notionToken: process.env.NOTION_TOKEN ? 'Set' : 'Missing',
@@ -112,15 +166,39 @@ app.get('/', (req, res) => {
         shortFormDbId: process.env.SHORTFORM_DATABASE_ID ? 'Set' : 'Missing',
         modelName: process.env.CLAUDE_MODEL_NAME ? process.env.CLAUDE_MODEL_NAME : 'Missing',
         promptPage: process.env.PROMPT_PAGE_ID || 'Default Prompt',
+        promptLibrary: process.env.PROMPT_LIBRARY_DATABASE_ID ? 'Set' : 'Not Set',
+        defaultPrompt: process.env.DEFAULT_PROMPT_NAME || 'Not Set',
         newsletterLink: process.env.NEWSLETTER_LINK || 'Not Set',
+        maxPostChars: getCharacterLimit(),
+        defaultPlatforms: process.env.DEFAULT_PLATFORMS || 'x',
         multiPassEnabled: process.env.ENABLE_MULTIPASS || 'false',
+        webhookAuth: webhookSecurity.mode,
+        publishingEnabled: process.env.ENABLE_PUBLISHING === 'true',
+        xApi: xClient.isConfigured() ? xClient.baseUrl : 'Missing token',
+        scheduler: postScheduler ? `${postScheduler.timeZone}, ${process.env.PUBLISH_SCHEDULE || 'mon-fri 09:00,13:00,17:00'}` : 'Disabled',
+        repeatCheck: similarityIndex.enabled ? `${similarityIndex.action}, last ${similarityIndex.lookbackWeeks} weeks` : 'Disabled',
     },
+    generation: describePassConfig(passConfig),
+    jobs: jobQueue.counts(),
+    usage: usageTracker.summary(),
     timestamp: new Date().toISOString()
   });
 });
 
+// Setup report: database access and schemas, prompt page and model (?models=false skips
+// the model requests). 503 when any check fails; only served when API_TOKEN is set
+app.get('/diagnostics', requiredApiGuard, async (req, res) => {
+  try {
+    const result = await runDiagnostics(diagnosticsDependencies(), { models: req.query.models !== 'false' });
+    res.status(result.status === 'pass' ? 200 : 503).json(result);
+  } catch (error) {
+    console.error('❌ Diagnostics error:', error);
+    res.status(500).json({ error: 'Diagnostics failed', message: error.message });
+  }
+});
+
 // Webhook endpoint for Notion database button
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', webhookGuard, async (req, res) => {
   try {
     console.log('\n🔥 === NOTION BUTTON WEBHOOK RECEIVED ===');
     console.log('🔍 Top-level Body Keys:', Object.keys(req.body)); 
@@ -132,6 +210,14 @@ app.post('/webhook', async (req, res) => {
         pageId = req.body.data.id;
         console.log(`✅ Page ID found in req.body.data.id: ${pageId}`);
     } 
+    // Notion integration events (WEBHOOK_AUTH_MODE=notion) name the page in entity; their
+    // top-level id is the event's own id, so nothing else in the body is searched
+    else if (req.body.entity) {
+      if (req.body.entity.type === 'page') {
+        pageId = req.body.entity.id;
+        console.log(`📄 Page ID from integration event entity.id (${req.body.type}): ${pageId}`);
+      }
+    }
     // FALLBACKS (Retained for robustness)
     else if (req.body.page_id) {
       pageId = req.body.page_id;
@@ -162,22 +248,41 @@ app.post('/webhook', async (req, res) => {
       });
     }
 
-    // Acknowledge webhook immediately (crucial to prevent Notion timeout)
+    // A second button can ask for a fresh versioned set ("regenerate": true in the body or ?regenerate=true);
+    // a button on a Shortform page asks for that concept to be refined from its comments ("refine")
+    const flag = name => req.body[name] === true || req.body[name] === 'true' || req.query[name] === 'true';
+    const regenerate = flag('regenerate');
+
+    if (flag('refine')) {
+      const { job, created } = jobQueue.enqueue('refine-concept', { pageId }, { key: refineJobKey(pageId) });
+      return res.status(200).json({
+        message: created ? 'Webhook received and refinement queued' : `Refinement already pending - attached to existing job (${job.status})`,
+        page_id: pageId,
+        job_id: job.id,
+        duplicate: !created,
+        job_url: `/jobs/${job.id}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Persist the work as a job, then acknowledge immediately (crucial to prevent Notion timeout).
+    // A repeat trigger for the same page while its job is pending returns the existing job
+    const { job, created } = regenerate
+      ? jobQueue.enqueue('process-email', { pageId, regenerate: true }, { key: regenerateJobKey(pageId) })
+      : jobQueue.enqueue('process-email', { pageId }, { key: emailJobKey(pageId) });
+
     res.status(200).json({ 
-      message: 'Webhook received and processing started',
+      message: created
+        ? `Webhook received and ${regenerate ? 'regeneration' : 'processing'} queued`
+        : `Page is already being processed - attached to existing job (${job.status})`,
       page_id: pageId,
+      job_id: job.id,
+      regenerate,
+      duplicate: !created,
+      job_url: `/jobs/${job.id}`,
       timestamp: new Date().toISOString()
     });
 
-    // Process the automation asynchronously so the response can be sent instantly
-    processEmailAutomation(pageId)
-      .then(result => {
-        console.log('✅ Automation completed successfully:', result);
-      })
-      .catch(error => {
-        console.error('❌ Automation failed:', error);
-      });
-
   } catch (error) {
     console.error('❌ Webhook error:', error);
     return res.status(500).json({ 
@@ -188,12 +293,104 @@ app.post('/webhook', async (req, res) => {
   }
 });
 
+// Generate a new versioned set of Shortform pages for an email that was already processed;
+// the previous set is marked superseded (or archived with REGENERATE_PREVIOUS=archive).
+// Authenticated like the webhook, since it starts a paid run
+app.post('/regenerate/:pageId', webhookGuard, (req, res) => {
+  const pageId = req.params.pageId;
+  if (!/^[a-f0-9]{32}$/i.test(normalizeId(pageId))) {
+    return res.status(400).json({ error: 'Invalid page ID', page_id: pageId });
+  }
+
+  const { job, created } = jobQueue.enqueue('process-email', { pageId, regenerate: true }, { key: regenerateJobKey(pageId) });
+  res.status(created ? 202 : 200).json({
+    message: created ? 'Regeneration queued' : `Regeneration already pending - attached to existing job (${job.status})`,
+    page_id: pageId,
+    job_id: job.id,
+    duplicate: !created,
+    job_url: `/jobs/${job.id}`,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Revise one Shortform concept from the comments left on its page (rewritten in place,
+// the previous body kept in a toggle). Authenticated like the webhook
+app.post('/refine/:pageId', webhookGuard, (req, res) => {
+  const pageId = req.params.pageId;
+  if (!/^[a-f0-9]{32}$/i.test(normalizeId(pageId))) {
+    return res.status(400).json({ error: 'Invalid page ID', page_id: pageId });
+  }
+
+  const { job, created } = jobQueue.enqueue('refine-concept', { pageId }, { key: refineJobKey(pageId) });
+  res.status(created ? 202 : 200).json({
+    message: created ? 'Refinement queued' : `Refinement already pending - attached to existing job (${job.status})`,
+    page_id: pageId,
+    job_id: job.id,
+    duplicate: !created,
+    job_url: `/jobs/${job.id}`,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// List recent jobs (optional ?status=queued|running|succeeded|failed&limit=N)
+app.get('/jobs', apiGuard, (req, res) => {
+  const status = req.query.status;
+  if (status && !Object.values(JobQueue.STATUS).includes(status)) {
+    return res.status(400).json({ error: `Unknown status "${status}"` });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+  const jobs = jobQueue.list({ status, limit });
+
+  res.json({
+    count: jobs.length,
+    counts: jobQueue.counts(),
+    jobs,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Status of a single job
+app.get('/jobs/:id', apiGuard, (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', job_id: req.params.id });
+  }
+  res.json(job);
+});
+
 // --- Core Automation Functions ---
 
-// Main automation processing function
-async function processEmailAutomation(pageId) {
+// Main automation processing function (one run per page at a time). With regenerate set,
+// an email that already has Shortform pages gets a new versioned set
+function processEmailAutomation(pageId, options = {}) {
+  const lockKey = normalizeId(pageId);
+
+  if (pageLocks.has(lockKey)) {
+    if (options.regenerate) {
+      // Regeneration must see the pages the running automation creates, so it waits its turn
+      console.log(`🔒 Automation already running for ${pageId} - regenerating once it finishes`);
+      return pageLocks.get(lockKey).catch(() => {}).then(() => processEmailAutomation(pageId, options));
+    }
+    console.log(`🔒 Automation already running for ${pageId} - attaching to existing run`);
+    return pageLocks.get(lockKey);
+  }
+
+  // API retries/waits and token usage for this run are collected into apiStats and usage
+  const apiStats = createApiStats();
+  const usage = usageTracker.createLedger();
+  const run = trackUsage(usageTracker, usage, () =>
+    trackApiCalls(apiStats, () => runEmailAutomation(pageId, apiStats, usage, options))
+  ).finally(() => {
+    pageLocks.delete(lockKey);
+  });
+  pageLocks.set(lockKey, run);
+  return run;
+}
+
+async function runEmailAutomation(pageId, apiStats = {}, usage = usageTracker.createLedger(), options = {}) {
   try {
-    console.log(`\n🚀 === STARTING AUTOMATION ===`);
+    console.log(`\n🚀 === STARTING ${options.regenerate ? 'REGENERATION' : 'AUTOMATION'} ===`);
     console.log(`📄 Target Page ID: ${pageId}`);
 
     // Step 1: Verify this page is in the E-mails database and retrieve properties
@@ -228,56 +425,121 @@ async function processEmailAutomation(pageId) {
     // Step 2: Check if this email has already been processed
     console.log('🔍 Step 2: Checking if email already processed...');
     
-    const existingQuery = await notion.databases.query({
-      database_id: process.env.SHORTFORM_DATABASE_ID,
-      filter: {
-        property: 'E-mails',
-        relation: {
-          contains: pageId
-        }
-      }
-    });
+    const existingPages = await findShortformPagesForEmail(pageId);
+    let version = 1;
 
-    if (existingQuery.results.length > 0) {
-      console.log(`ℹ️ Email already processed - found ${existingQuery.results.length} existing entries`);
+    if (existingPages.length > 0 && !options.regenerate) {
+      console.log(`ℹ️ Email already processed - found ${existingPages.length} existing entries`);
       return { status: 'skipped', reason: 'Email already processed' };
     }
 
-    console.log('✅ Email not yet processed - continuing automation');
+    if (existingPages.length > 0) {
+      version = Math.max(...existingPages.map(page => shortformProperties.pageVersion(page))) + 1;
+      console.log(`♻️ Regenerating: ${existingPages.length} existing entries, creating version v${version}`);
+    } else {
+      console.log('✅ Email not yet processed - continuing automation');
+    }
 
     // Step 3: Get email content
     console.log('📖 Step 3: Extracting email content...');
-    const emailContent = await getEmailContent(pageId);
+    const { content: emailContent, skippedTypes } = await getEmailContent(pageId);
     console.log(`✅ Extracted ${emailContent.length} characters of content`);
 
+    // Idempotency on content: the Shortform query can lag behind freshly created pages,
+    // so also skip when this exact content already produced pages for this email
+    const contentHash = hashContent(emailContent);
+    const previousRun = jobQueue.findSucceeded(emailJobKey(pageId), result =>
+      result.status === 'success' && result.content_hash === contentHash
+    );
+
+    if (previousRun && !options.regenerate) {
+      console.log(`ℹ️ Identical content already processed by job ${previousRun.id} - skipping`);
+      return { status: 'skipped', reason: 'Identical content already processed', previous_job_id: previousRun.id };
+    }
+
     // Step 4: Get processing prompt from Notion
     console.log('📝 Step 4: Getting content creation prompt from Notion...');
-    const prompt = await getPromptFromNotion();
-    console.log('✅ Content creation prompt retrieved from Notion');
+    const { template: promptTemplate, version: promptVersion } = await getPromptFromNotion(pageInfo);
+    console.log(`✅ Content creation prompt ready: ${describePromptVersion(promptVersion)}`);
 
-    // Step 5: Generate tweets using enhanced multi-pass approach
+    // Step 5: Generate tweets using enhanced multi-pass approach, once per requested platform
     console.log('🤖 Step 5: Generating tweets with enhanced quality approach...');
-    const startTime = Date.now();
-    
-    const tweetsData = await generateTweetsWithEnhancedQuality(emailContent, prompt);
-    
-    // Log generation metrics
-    logGenerationMetrics(tweetsData, startTime);
-    
-    console.log(`✅ Generated ${tweetsData.tweetConcepts.length} tweet concepts with enhanced quality`);
+    const platforms = getRequestedPlatforms(pageInfo);
+    console.log(`🌐 Platforms: ${platforms.map(profile => profile.name).join(', ')}`);
 
-    // Step 6: Create pages with complete structure
+    // Concepts from other recent emails, to catch repeated hooks and angles
+    const history = await similarityIndex.history(pageId);
+
+    const variants = [];
+    for (const profile of platforms) {
+      const startTime = Date.now();
+      const usageBefore = { ...usage.totals };
+      
+      const prompt = renderPromptForPlatform(promptTemplate, pageInfo, profile);
+      const tweetsData = await checkForRepeats(
+        await generateTweetsWithEnhancedQuality(emailContent, prompt, profile),
+        history,
+        profile
+      );
+      
+      // Log generation metrics
+      logGenerationMetrics(tweetsData, startTime, profile);
+      
+      console.log(`✅ Generated ${tweetsData.tweetConcepts.length} ${profile.name} concepts with enhanced quality`);
+      variants.push({ profile, tweetsData, usage: usageSince(usage, usageBefore) });
+    }
+
+    // Re-check right before writing: generation takes a while and another process may have finished first
+    const knownPageIds = new Set(existingPages.map(page => page.id));
+    const concurrentPages = (await findShortformPagesForEmail(pageId)).filter(page => !knownPageIds.has(page.id));
+
+    if (concurrentPages.length > 0) {
+      console.log(`ℹ️ Shortform pages appeared during generation (${concurrentPages.length}) - not creating duplicates`);
+      return { status: 'skipped', reason: 'Email processed concurrently' };
+    }
+
+    // Step 6: Create pages with complete structure (one set per platform variant)
     console.log('📝 Step 6: Creating full structure pages...');
-    const createdPages = await createFullStructurePages(tweetsData, pageId);
+    const createdPages = [];
+    for (const { profile, tweetsData, usage: variantUsage } of variants) {
+      createdPages.push(...await createFullStructurePages(tweetsData, pageId, promptVersion, profile, variantUsage, version));
+    }
     console.log(`✅ Created ${createdPages.length} pages with complete structure`); 
 
+    // Only once the new set exists is the previous one retired
+    const superseded = [];
+    for (const page of existingPages) {
+      try {
+        superseded.push({ id: page.id, result: await shortformProperties.supersede(page, version) });
+      } catch (error) {
+        console.error(`⚠️ Could not mark page ${page.id} as superseded:`, error.message);
+        superseded.push({ id: page.id, result: 'failed', error: error.message });
+      }
+    }
+    if (superseded.length > 0) {
+      console.log(`♻️ Previous versions: ${superseded.map(entry => entry.result).join(', ')}`);
+    }
+
+    await recordEmailUsage(pageInfo, usage);
+    logUsageMetrics(usage);
+    logApiCallMetrics(apiStats);
     console.log('🎉 === AUTOMATION COMPLETED ===');
     return {
       status: 'success',
       email_page_id: pageId,
       content_length: emailContent.length,
-      concepts_generated: tweetsData.tweetConcepts.length,
+      content_hash: contentHash,
+      prompt_version: promptVersion,
+      version,
+      superseded_pages: superseded,
+      skipped_block_types: skippedTypes,
+      platforms: platforms.map(profile => profile.id),
+      concepts_generated: variants.reduce((sum, variant) => sum + variant.tweetsData.tweetConcepts.length, 0),
+      repeats_flagged: variants.reduce((sum, variant) =>
+        sum + variant.tweetsData.tweetConcepts.filter(concept => concept.similarTo && !concept.similarTo.rewritten).length, 0),
       pages_created: createdPages.length,
+      api_calls: apiStats,
+      usage,
       timestamp: new Date().toISOString()
     };
 
@@ -287,20 +549,37 @@ async function processEmailAutomation(pageId) {
   }
 }
 
+// Shortform pages already related to an email page (every result page, not just the first 100)
+async function findShortformPagesForEmail(pageId) {
+  return queryAll(notion, {
+    database_id: process.env.SHORTFORM_DATABASE_ID,
+    filter: {
+      property: 'E-mails',
+      relation: {
+        contains: pageId
+      }
+    }
+  });
+}
+
 // ENHANCED: Multi-pass tweet generation with quality improvement
-async function generateTweetsWithEnhancedQuality(emailContent, prompt) {
-  const useMultiPass = process.env.ENABLE_MULTIPASS === 'true';
+async function generateTweetsWithEnhancedQuality(emailContent, prompt, profile = PLATFORM_PROFILES.x) {
+  // Over budget, multi-pass (five or more model calls) drops to a single call
+  const budgetReason = usageTracker.budgetExceeded(currentLedger());
+  if (process.env.ENABLE_MULTIPASS === 'true' && budgetReason) {
+    console.log(`💸 Budget check: ${budgetReason} - using single-pass generation`);
+  }
+  const useMultiPass = process.env.ENABLE_MULTIPASS === 'true' && !budgetReason;
   
   if (useMultiPass) {
     console.log('🎯 Using Multi-Pass Generation System');
     try {
-      // Set the base prompt on the generator
-      contentGenerator.basePrompt = prompt;
-      
-      // Use multi-pass generation
+      // Use multi-pass generation (the email's prompt goes with the call; jobs share the generator)
       const result = await contentGenerator.generateTweetsWithMultiPass(
         emailContent, 
-        process.env.NEWSLETTER_LINK
+        process.env.NEWSLETTER_LINK,
+        profile,
+        prompt
       );
       
       console.log('✅ Multi-Pass Generation Complete');
@@ -313,60 +592,51 @@ async function generateTweetsWithEnhancedQuality(emailContent, prompt) {
   }
   
   console.log('⚡ Using Single-Pass Generation');
+
+  // Long emails are condensed per section first (map-reduce)
+  const source = await contentGenerator.prepareSource(emailContent);
   
-  // FIXED: Enhanced single-pass prompt with strict JSON requirements
+  // Single-pass prompt; the result comes back through the submit tool
   const enhancedPrompt = `
-CRITICAL: Respond with ONLY valid JSON. No explanations, no markdown formatting, no text before or after the JSON.
-
 ${prompt}
+${describeProfileForPrompt(profile)}
 
-EMAIL CONTENT:
-${emailContent}
+EMAIL CONTENT (Markdown - links are written as [text](url)):
+${source.content}
 
-Your response must be exactly this JSON format with no additional text:
-{
-  "tweetConcepts": [
-    {
-      "concept": "",
-      "strategy": "",
-      "mainContent": {
-        "posts": [""],
-        "characterCounts": [""]
-      },
-      "cta": ""
-    }
-  ]
-}`;
-  
-  // Original single-pass approach (fallback or when multi-pass disabled)
-  const response = await anthropic.messages.create({
-    model: process.env.CLAUDE_MODEL_NAME || 'claude-3-5-sonnet-20241022',
-    max_tokens: 4000,
-    messages: [{ 
-      role: 'user', 
-      content: enhancedPrompt
-    }]
-  });
+When a post references a resource mentioned in the email, cite its exact URL from the content above.
+${source.instructions}
 
-  // FIXED: Use robust JSON extraction instead of direct parsing
+Submit the result with the ${OUTPUT_TOOLS.tweetConcepts.name} tool.`;
+  
+  // Original single-pass approach (fallback or when multi-pass disabled),
+  // validated against the shared schema with the same repair loop as the passes
+  let draft;
   try {
-    return extractJSON(response.content[0].text);
+    draft = await contentGenerator.requestTweetConcepts(enhancedPrompt, 'singlePass');
   } catch (e) {
-    console.error('❌ JSON parsing failed in single-pass generation');
-    console.error('Raw response:', response.content[0].text.substring(0, 300) + '...');
+    console.error('❌ Single-pass generation failed:', e.message);
     throw new Error('Failed to parse generation response');
   }
+
+  // Same length enforcement as multi-pass: over-limit posts are split or rewritten, and
+  // platforms without threads get one post
+  return {
+    ...contentGenerator.linkSourceSections(await contentGenerator.finalValidation(draft, profile), source, draft),
+    generation: { mode: 'Single-pass', model: contentGenerator.passSettings('singlePass').model }
+  };
 }
 
 // NEW: Enhanced monitoring function to track improvement
-function logGenerationMetrics(result, startTime) {
+function logGenerationMetrics(result, startTime, profile = PLATFORM_PROFILES.x) {
   const endTime = Date.now();
   const duration = endTime - startTime;
   
-  console.log('\n📈 GENERATION METRICS:');
+  console.log(`\n📈 GENERATION METRICS (${profile.name}):`);
   console.log(`⏱️  Total Time: ${duration}ms`);
   console.log(`📝 Concepts Generated: ${result.tweetConcepts.length}`);
   
+  const limit = profile.getLimit();
   let totalPosts = 0;
   let avgCharCount = 0;
   let overLimitCount = 0;
@@ -374,121 +644,123 @@ function logGenerationMetrics(result, startTime) {
   result.tweetConcepts.forEach((concept, i) => {
     totalPosts += concept.mainContent.posts.length;
     concept.mainContent.posts.forEach(post => {
-      avgCharCount += post.length;
-      if (post.length > 500) overLimitCount++;
+      const length = profile.measure(post);
+      avgCharCount += length;
+      if (length > limit) overLimitCount++;
     });
     
-    console.log(`📄 Concept ${i + 1}: ${concept.mainContent.posts.length} posts, CTA: ${concept.cta.length} chars`);
+    console.log(`📄 Concept ${i + 1}: ${concept.mainContent.posts.length} posts, CTA: ${profile.measure(concept.cta)} chars`);
   });
   
   avgCharCount = Math.round(avgCharCount / totalPosts);
   
   console.log(`📊 Total Posts: ${totalPosts}`);
   console.log(`📊 Avg Character Count: ${avgCharCount}`);
-  console.log(`⚠️  Over 500 chars: ${overLimitCount}`);
+  console.log(`⚠️  Over ${limit} chars: ${overLimitCount}`);
   console.log(`✅ Generation Quality: ${overLimitCount === 0 ? 'EXCELLENT' : 'NEEDS REVIEW'}`);
 }
 
-// Extract text content from a Notion page
+// Tokens and cost per generation pass for one run
+function logUsageMetrics(usage) {
+  for (const [pass, stats] of Object.entries(usage.passes)) {
+    console.log(`💰 ${pass}: ${stats.calls} call(s), ${stats.inputTokens} in / ${stats.outputTokens} out tokens, $${stats.costUsd.toFixed(4)}`);
+  }
+  console.log(`💰 Run total: ${usage.totals.inputTokens + usage.totals.outputTokens} tokens, $${usage.totals.costUsd.toFixed(4)} (month: $${usageTracker.monthlySpendUsd().toFixed(4)})`);
+}
+
+// Calls, retries and time spent waiting per service for one run
+function logApiCallMetrics(apiStats) {
+  for (const [service, stats] of Object.entries(apiStats)) {
+    console.log(`📡 ${service}: ${stats.calls} calls, ${stats.retries} retries (${(stats.retryWaitMs / 1000).toFixed(1)}s backoff), ${(stats.throttledMs / 1000).toFixed(1)}s throttled, ${stats.failures} failed`);
+  }
+}
+
+// Extract the full email page (all blocks, nested children included) as Markdown
 async function getEmailContent(pageId) {
   try {
-    const blocks = await notion.blocks.children.list({
-      block_id: pageId,
-      page_size: 100
-    });
+    const { markdown, blockCount, skippedTypes } = await extractPageMarkdown(notion, pageId);
 
-    let content = '';
-    
-    for (const block of blocks.results) {
-      if (block.type === 'paragraph' && block.paragraph.rich_text) {
-        const text = block.paragraph.rich_text.map(rt => rt.plain_text).join('');
-        content += text + '\n';
-      } else if (block.type === 'heading_1' && block.heading_1.rich_text) {
-        const text = block.heading_1.rich_text.map(rt => rt.plain_text).join('');
-        content += text + '\n';
-      } else if (block.type === 'heading_2' && block.heading_2.rich_text) {
-        const text = block.heading_2.rich_text.map(rt => rt.plain_text).join('');
-        content += text + '\n';
-      } else if (block.type === 'heading_3' && block.heading_3.rich_text) {
-        const text = block.heading_3.rich_text.map(rt => rt.plain_text).join('');
-        content += text + '\n';
-      } else if (block.type === 'bulleted_list_item' && block.bulleted_list_item.rich_text) {
-        const text = block.bulleted_list_item.rich_text.map(rt => rt.plain_text).join('');
-        content += '• ' + text + '\n';
-      } else if (block.type === 'numbered_list_item' && block.numbered_list_item.rich_text) {
-        const text = block.numbered_list_item.rich_text.map(rt => rt.plain_text).join('');
-        content += text + '\n';
-      }
+    const skipped = Object.entries(skippedTypes);
+    if (skipped.length > 0) {
+      console.log(`⚠️ Skipped unsupported block types: ${skipped.map(([type, count]) => `${type} (${count})`).join(', ')}`);
     }
+    console.log(`📚 Read ${blockCount} blocks from email page`);
 
-    if (!content.trim()) {
+    if (!markdown) {
       throw new Error('No content found in the email page');
     }
 
-    return content.trim();
+    return { content: markdown, blockCount, skippedTypes };
   } catch (error) {
     console.error('❌ Error extracting email content:', error);
     throw new Error(`Failed to extract email content: ${error.message}`);
   }
 }
 
-// Get the content creation prompt from Notion
-async function getPromptFromNotion() {
+// Get the content creation prompt template for an email page from the Notion prompt library.
+// Returns { template, version } so the prompt version can be recorded on generated pages
+async function getPromptFromNotion(emailPage) {
+  const fallback = reason => ({
+    template: getSimplifiedPrompt(),
+    version: { name: 'Simplified fallback prompt', source: 'fallback', reason }
+  });
+
   try {
-    const promptPageId = process.env.PROMPT_PAGE_ID;
+    const selected = await promptLibrary.selectPrompt(emailPage);
     
-    if (!promptPageId) {
-      console.log('⚠️ No PROMPT_PAGE_ID found, using simplified fallback prompt');
-      return getSimplifiedPrompt();
+    if (!selected) {
+      console.log('⚠️ No prompt library or PROMPT_PAGE_ID configured, using simplified fallback prompt');
+      return fallback('No prompt configured');
     }
 
-    const blocks = await notion.blocks.children.list({
-      block_id: promptPageId,
-      page_size: 100
-    });
+    const prompt = await promptLibrary.loadPromptContent(selected.pageId);
 
-    let promptContent = '';
-    
-    for (const block of blocks.results) {
-      if (block.type === 'paragraph' && block.paragraph.rich_text) {
-        const text = block.paragraph.rich_text.map(rt => rt.plain_text).join('');
-        promptContent += text + '\n';
-      } else if (block.type === 'heading_1' && block.heading_1.rich_text) {
-        const text = block.heading_1.rich_text.map(rt => rt.plain_text).join('');
-        promptContent += '\n# ' + text + '\n';
-      } else if (block.type === 'heading_2' && block.heading_2.rich_text) {
-        const text = block.heading_2.rich_text.map(rt => rt.plain_text).join('');
-        promptContent += '\n## ' + text + '\n';
-      } else if (block.type === 'heading_3' && block.heading_3.rich_text) {
-        const text = block.heading_3.rich_text.map(rt => rt.plain_text).join('');
-        promptContent += '\n### ' + text + '\n';
-      } else if (block.type === 'bulleted_list_item' && block.bulleted_list_item.rich_text) {
-        const text = block.bulleted_list_item.rich_text.map(rt => rt.plain_text).join('');
-        promptContent += '- ' + text + '\n';
-      } else if (block.type === 'numbered_list_item' && block.numbered_list_item.rich_text) {
-        const text = block.numbered_list_item.rich_text.map(rt => rt.plain_text).join('');
-        promptContent += text + '\n';
-      } else if (block.type === 'code' && block.code.rich_text) {
-        const text = block.code.rich_text.map(rt => rt.plain_text).join('');
-        promptContent += '```\n' + text + '\n```\n';
-      }
-    }
-
-    if (!promptContent.trim()) {
+    if (!prompt.content) {
       console.log('⚠️ Empty prompt content from Notion, using fallback');
-      return getSimplifiedPrompt();
+      return fallback('Prompt page is empty');
     }
 
-    console.log(`✅ Retrieved ${promptContent.length} characters of prompt content from Notion`);
-    return promptContent.trim();
+    console.log(`📚 Using prompt "${prompt.name}" (${selected.source}${prompt.stale ? ', cached copy' : ''})`);
+    console.log(`✅ Retrieved ${prompt.content.length} characters of prompt content from Notion`);
+    return {
+      template: prompt.content,
+      version: {
+        name: prompt.name,
+        pageId: prompt.pageId,
+        source: selected.source,
+        lastEditedTime: prompt.lastEditedTime,
+        contentHash: prompt.contentHash,
+        stale: prompt.stale
+      }
+    };
     
   } catch (error) {
     console.error('❌ Error getting prompt from Notion:', error);
-    console.log('🔄 Using simplified fallback prompt due to error');
-    return getSimplifiedPrompt();
+    console.log('⚠️ No cached prompt available - using simplified fallback prompt');
+    return fallback(`Notion error: ${error.message}`);
   }
 }
 
+// Fill in the prompt's {{variables}} from the email page and environment;
+// {{max_chars}} and {{platform}} follow the platform being generated for
+function renderPromptForPlatform(template, emailPage, profile) {
+  const variables = {
+    ...promptLibrary.buildTemplateVariables(emailPage),
+    max_chars: String(profile.getLimit()),
+    platform: profile.name
+  };
+  return PromptLibrary.renderTemplate(template, variables);
+}
+
+// Human-readable prompt version, recorded on each generated page
+function describePromptVersion(version) {
+  if (!version.pageId) {
+    return `${version.name} (${version.reason})`;
+  }
+  const stale = version.stale ? ' - cached copy, Notion unreachable' : '';
+  return `${version.name} · edited ${version.lastEditedTime} · #${version.contentHash}${stale}`;
+}
+
 // Simplified fallback prompt
 function getSimplifiedPrompt() {
   return `
@@ -497,7 +769,7 @@ Transform this email content into high-quality, engaging tweets that capture the
 REQUIREMENTS:
 1. Create 2-3 tweet concepts maximum
 2. Each tweet should have a clear hook, insight, and value
-3. Keep posts under 500 characters each
+3. Keep posts under {{max_chars}} characters each
 4. Include character counts for each post
 5. Add a compelling CTA tweet for each concept
 6. Make sure each tweet is self-contained and valuable
@@ -506,21 +778,128 @@ Return in this JSON format:
 {
   "tweetConcepts": [
     {
+      "number": 1,
+      "title": "Short title for the concept",
       "concept": "Brief description of the concept",
       "strategy": "Content strategy used",
+      "template": "Thread starter template used",
+      "ahamoment": "The single insight the reader takes away",
       "mainContent": {
         "posts": ["Tweet text here"],
-        "characterCounts": ["150/500 ✅"]
+        "characterCounts": ["150/{{max_chars}} ✅"]
       },
-      "cta": "Call to action tweet text"
+      "cta": "Call to action tweet text",
+      "qualityValidation": "Short self-check against the requirements"
     }
   ]
 }
 `;
 }
 
+// Cost (USD) and token totals keyed by property name, each included only when its property name is configured
+function usageValues(usage, costProperty, tokensProperty) {
+  const values = {};
+  if (!usage) return values;
+  if (costProperty) {
+    values[costProperty] = usage.costUsd;
+  }
+  if (tokensProperty) {
+    values[tokensProperty] = usage.inputTokens + usage.outputTokens;
+  }
+  return values;
+}
+
+// Add this run's cost to the running totals on the E-mails page (number properties the
+// page doesn't have are left out)
+async function recordEmailUsage(emailPage, usage) {
+  const costProperty = process.env.EMAIL_COST_PROPERTY;
+  const tokensProperty = process.env.EMAIL_TOKENS_PROPERTY;
+  if (!costProperty && !tokensProperty) return;
+
+  const previous = name => {
+    const property = name ? emailPage.properties[name] : null;
+    return property && typeof property.number === 'number' ? property.number : 0;
+  };
+
+  const values = usageValues({
+    costUsd: Math.round((previous(costProperty) + usage.totals.costUsd) * 1e6) / 1e6,
+    inputTokens: previous(tokensProperty) + usage.totals.inputTokens,
+    outputTokens: usage.totals.outputTokens
+  }, costProperty, tokensProperty);
+
+  const properties = {};
+  for (const [name, value] of Object.entries(values)) {
+    const property = emailPage.properties[name];
+    if (property && property.type === 'number') {
+      properties[name] = { number: value };
+    } else {
+      console.log(`ℹ️ E-mails property "${name}" skipped: not a number property on the page`);
+    }
+  }
+  if (Object.keys(properties).length === 0) return;
+
+  try {
+    await notion.pages.update({ page_id: emailPage.id, properties });
+  } catch (error) {
+    console.error('⚠️ Could not write usage to the E-mails page:', error.message);
+  }
+}
+
+// Compare new concepts with recent ones from other emails (see SimilarityIndex). Repeats
+// are flagged with the earlier page (concept.similarTo), or with SIMILARITY_ACTION=regenerate
+// rewritten once first; a rewrite that still repeats is flagged
+async function checkForRepeats(tweetsData, history, profile) {
+  if (!similarityIndex.enabled || history.length === 0) return tweetsData;
+
+  const concepts = [...tweetsData.tweetConcepts];
+  const matches = similarityIndex.findMatches(concepts, history);
+  const repeated = concepts.map((_, i) => i).filter(i => matches[i]);
+  if (repeated.length === 0) {
+    console.log(`✅ No repeats among ${history.length} recent concept(s)`);
+    return tweetsData;
+  }
+  repeated.forEach(i => {
+    console.log(`🔁 Concept ${concepts[i].number} repeats "${matches[i].title}" (${SimilarityIndex.describeMatch(matches[i])})`);
+  });
+
+  const budgetReason = usageTracker.budgetExceeded(currentLedger());
+  if (similarityIndex.action === 'regenerate' && budgetReason) {
+    console.log(`💸 Budget check: ${budgetReason} - flagging repeats without rewriting`);
+  }
+
+  if (similarityIndex.action === 'regenerate' && !budgetReason) {
+    const rewritten = await contentGenerator.rewriteRepeatedConcepts(
+      { tweetConcepts: repeated.map(i => concepts[i]) },
+      repeated.map(i => matches[i]),
+      profile
+    );
+    if (rewritten) {
+      const rematched = similarityIndex.findMatches(rewritten.tweetConcepts, history);
+      repeated.forEach((i, n) => {
+        concepts[i] = rewritten.tweetConcepts[n];
+        matches[i] = rematched[n] || { ...matches[i], rewritten: true };
+      });
+      const still = rematched.filter(Boolean).length;
+      console.log(`🔁 Rewrote ${repeated.length} repeated concept(s)${still > 0 ? ` - ${still} still repeat and are flagged` : ''}`);
+    }
+  }
+
+  return {
+    ...tweetsData,
+    tweetConcepts: concepts.map((concept, i) => (matches[i] ? { ...concept, similarTo: matches[i] } : concept))
+  };
+}
+
+// Shortform "Platform" select, written only when SHORTFORM_PLATFORM_PROPERTY is configured
+// and the database has it
+async function platformProperty(profile) {
+  const propertyName = process.env.SHORTFORM_PLATFORM_PROPERTY;
+  if (!propertyName) return {};
+  return shortformProperties.forValues({ [propertyName]: profile.name });
+}
+
 // Create Notion pages with complete structure including all elements
-async function createFullStructurePages(tweetsData, emailPageId) {
+async function createFullStructurePages(tweetsData, emailPageId, promptVersion, profile = PLATFORM_PROFILES.x, usage = null, version = 1) {
   try {
     console.log('\n📄 === CREATING NOTION PAGES WITH FULL STRUCTURE ===');
     
@@ -538,233 +917,62 @@ async function createFullStructurePages(tweetsData, emailPageId) {
       console.log(`   Posts: ${concept.mainContent.posts.length}`);
       console.log(`   Strategy: ${concept.strategy}`);
 
-      // Build blocks array for the page content
-      const blocks = [];
-      
-      // Title and concept overview
-      blocks.push({
-        object: 'block',
-        type: 'heading_1',
-        heading_1: {
-          rich_text: [{
-            type: 'text',
-            text: { content: concept.concept }
-          }]
-        }
-      });
-      
-      // Strategy section
-      blocks.push({
-        object: 'block',
-        type: 'heading_2',
-        heading_2: {
-          rich_text: [{
-            type: 'text',
-            text: { content: 'Strategy:' }
-          }]
-        }
-      });
-      
-      blocks.push({
-        object: 'block',
-        type: 'paragraph',
-        paragraph: {
-          rich_text: [{
-            type: 'text',
-            text: { content: concept.strategy }
-          }]
-        }
-      });
-      
-      // Main Content section
-      blocks.push({
-        object: 'block',
-        type: 'heading_2',
-        heading_2: {
-          rich_text: [{
-            type: 'text',
-            text: { content: 'Tweet Content:' }
-          }]
-        }
-      });
-      
-      // Add each post with character counts
-      concept.mainContent.posts.forEach((post, postIndex) => {
-        // Add the post content
-        blocks.push({
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [{
-              type: 'text',
-              text: { content: post }
-            }]
-          }
-        });
-        
-        // Add character count right after each post
-        const charCount = concept.mainContent.characterCounts[postIndex] || `${post.length}/500 ${post.length <= 500 ? '✅' : '❌'}`;
-        blocks.push({
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [{
-              type: 'text',
-              text: { content: `Character Count: ${charCount}` },
-              annotations: { 
-                color: 'gray',
-                italic: true
-              }
-            }]
-          }
-        });
-        
-        // Add divider between posts (but not after the last one)
-        if (postIndex < concept.mainContent.posts.length - 1) {
-          blocks.push({
-            object: 'block',
-            type: 'paragraph',
-            paragraph: {
-              rich_text: [{
-                type: 'text',
-                text: { content: '---' },
-                annotations: { 
-                  bold: true,
-                  color: 'blue'
-                }
-              }]
-            }
-          });
-        }
-      });
-      
-      // Single Aha Moment section
-      blocks.push({
-        object: 'block',
-        type: 'heading_2',
-        heading_2: {
-          rich_text: [{
-            type: 'text',
-            text: { content: 'Single Aha Moment:' }
-          }]
-        }
-      });
-      
-      blocks.push({
-        object: 'block',
-        type: 'paragraph',
-        paragraph: {
-          rich_text: [{
-            type: 'text',
-            text: { content: concept.ahamoment }
-          }]
-        }
-      });
-      
-      // Divider before CTA
-      blocks.push({
-        object: 'block',
-        type: 'divider',
-        divider: {}
-      });
-      
-      // CTA Tweet section
-      blocks.push({
-        object: 'block',
-        type: 'heading_2',
-        heading_2: {
-          rich_text: [{
-            type: 'text',
-            text: { content: 'CTA Tweet:' }
-          }]
-        }
-      });
-      
-      blocks.push({
-        object: 'block',
-        type: 'paragraph',
-        paragraph: {
-          rich_text: [{
-            type: 'text',
-            text: { content: concept.cta }
-          }]
-        }
-      });
-      
-      // CTA Character count with validation
-      const ctaLength = concept.cta.length;
-      blocks.push({
-        object: 'block',
-        type: 'paragraph',
-        paragraph: {
-          rich_text: [{
-            type: 'text',
-            text: { content: `CTA Character Count: ${ctaLength}/500 ${ctaLength <= 500 ? '✅' : '❌'}` },
-            annotations: { 
-              color: ctaLength <= 500 ? 'green' : 'red',
-              italic: true
-            }
-          }]
-        }
-      });
-      
-      // Quality Validation section
-      blocks.push({
-        object: 'block',
-        type: 'divider',
-        divider: {}
-      });
-      
-      blocks.push({
-        object: 'block',
-        type: 'heading_2',
-        heading_2: {
-          rich_text: [{
-            type: 'text',
-            text: { content: 'Quality Validation:' }
-          }]
-        }
-      });
-      
-      blocks.push({
-        object: 'block',
-        type: 'paragraph',
-        paragraph: {
-          rich_text: [{
-            type: 'text',
-            text: { content: concept.qualityValidation }
-          }]
-        }
-      });
+      // Provenance lines at the end of the page: the prompt version, the version and model
+      // (regenerated sets are v2, v3, ...) and, for map-reduce runs, the email section used
+      const generation = tweetsData.generation || {};
+      const notes = [
+        `Prompt: ${describePromptVersion(promptVersion)}`,
+        `Version: v${version} · ${generation.mode || 'Unknown mode'} · Model: ${generation.model || 'unknown'}`
+      ];
+      if (concept.sourceSection) {
+        notes.push(`Source section: ${concept.sourceSection} - ${concept.sourceHeading}`);
+      }
+
+      // Page body (long text is split across rich_text items)
+      const blocks = buildConceptBlocks(concept, profile, notes);
+      const ctaLength = profile.measure(concept.cta);
+
+      const pageTitle = `${profile.postLabel} #${concept.number}: ${concept.title}${version > 1 ? ` (v${version})` : ''}`;
 
       try {
-        // Create the page with full structure
-        const response = await notion.pages.create({
+        // Create the page with full structure (blocks beyond the first 100 are appended in batches)
+        const { page: response, skipped, error: skipError } = await createPageWithBlocks(notion, {
           parent: { database_id: process.env.SHORTFORM_DATABASE_ID },
           properties: {
             'Title': {
-              title: [{ text: { content: `TWEET #${concept.number}: ${concept.title}` } }]
+              title: [{ text: { content: pageTitle } }]
             },
             'E-mails': {
               relation: [{ id: emailPageId }]
-            }
-          },
-          children: blocks
-        });
+            },
+            ...await shortformProperties.forConcept(concept, { generation, version }, profile),
+            ...await platformProperty(profile),
+            ...await shortformProperties.forValues(
+              usageValues(usage, process.env.SHORTFORM_COST_PROPERTY, process.env.SHORTFORM_TOKENS_PROPERTY)
+            )
+          }
+        }, blocks);
 
         console.log(`✅ Successfully created page ${i + 1}: ${response.id}`);
-        console.log(`   Title: TWEET #${concept.number}: ${concept.title}`);
-        console.log(`   Blocks added: ${blocks.length}`);
+        similarityIndex.record({ pageId: response.id, emailId: emailPageId, title: pageTitle, createdTime: response.created_time }, concept);
+        console.log(`   Title: ${pageTitle}`);
+        console.log(`   Blocks added: ${blocks.length - skipped}/${blocks.length}`);
         console.log(`   Posts: ${concept.mainContent.posts.length}`);
-        console.log(`   CTA length: ${concept.cta.length} characters`);
+        console.log(`   CTA length: ${ctaLength} characters`);
+        if (skipped > 0) {
+          console.log(`   ⚠️ Partial page: ${skipped} blocks could not be added (${skipError})`);
+        }
         
         results.push({ 
           id: response.id, 
-          title: `TWEET #${concept.number}: ${concept.title}`,
-          blocks_count: blocks.length,
+          title: pageTitle,
+          platform: profile.id,
+          blocks_count: blocks.length - skipped,
+          ...(skipped > 0 ? { partial: true, skipped_blocks: skipped, skip_error: skipError } : {}),
           posts_count: concept.mainContent.posts.length,
           concept_number: concept.number,
-          cta_length: concept.cta.length
+          source_section: concept.sourceSection || null,
+          cta_length: ctaLength
         });
 
       } catch (pageError) {
@@ -780,7 +988,8 @@ async function createFullStructurePages(tweetsData, emailPageId) {
               },
               'E-mails': {
                 relation: [{ id: emailPageId }]
-              }
+              },
+              ...await platformProperty(profile)
             },
             children: [{
               object: 'block',
@@ -814,11 +1023,94 @@ async function createFullStructurePages(tweetsData, emailPageId) {
   }
 }
 
+// Reject oversized or malformed JSON bodies with a JSON error instead of the default HTML page
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    console.log(`🚫 Request body too large (limit ${webhookSecurity.bodyLimit})`);
+    return res.status(413).json({
+      error: 'Request body too large',
+      limit: webhookSecurity.bodyLimit,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Invalid JSON body',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next(err);
+});
+
+function diagnosticsDependencies() {
+  return { notion, anthropic, passConfig, promptLibrary, shortformProperties, usageTracker, threadPublisher, postScheduler };
+}
+
+// Queue a publish job for every approved Shortform page (one active job per page).
+// With the scheduler on, pages are first given a slot and only queued once it is due
+async function pollApprovedPages() {
+  try {
+    let pages;
+    if (postScheduler) {
+      const approved = await threadPublisher.findApprovedPages({ allPlatforms: true });
+      const due = await postScheduler.assignSlots(approved);
+      pages = due.filter(page => threadPublisher.isPublishable(page));
+    } else {
+      pages = await threadPublisher.findApprovedPages();
+    }
+
+    if (process.env.ENABLE_PUBLISHING !== 'true') return;
+
+    for (const page of pages) {
+      jobQueue.enqueue('publish-thread', { pageId: page.id }, { key: `publish-thread:${normalizeId(page.id)}` });
+    }
+    if (pages.length > 0) {
+      console.log(`🐦 Found ${pages.length} approved page(s) to publish`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to poll approved pages:', error.message);
+  }
+}
+
 // Validate environment on startup
 if (!validateEnvironment()) {
   console.error('❌ Server starting with missing environment variables. Functionality will be impaired.');
 }
 
+if (passConfig.errors.length > 0) {
+  console.error(`❌ Invalid generation settings (${passConfig.source}) - defaults used for these:`);
+  passConfig.errors.forEach(error => console.error(`   - ${error}`));
+}
+
+if (shortformProperties.configErrors.length > 0) {
+  console.error('❌ Invalid SHORTFORM_PROPERTY_MAP - default property names used for these:');
+  shortformProperties.configErrors.forEach(error => console.error(`   - ${error}`));
+}
+
+if (usageTracker.priceErrors.length > 0) {
+  console.error('❌ Invalid model prices - built-in prices used for these:');
+  usageTracker.priceErrors.forEach(error => console.error(`   - ${error}`));
+}
+
+// Check databases, prompt and model once at startup (STARTUP_SELF_CHECK=false to skip)
+if (process.env.STARTUP_SELF_CHECK !== 'false') {
+  runDiagnostics(diagnosticsDependencies())
+    .then(logDiagnostics)
+    .catch(error => console.error('❌ Startup self-check failed to run:', error.message));
+}
+
+// Resume persisted jobs (including any interrupted by a restart)
+jobQueue.start();
+
+if (process.env.ENABLE_PUBLISHING === 'true' || schedulerEnabled) {
+  if (process.env.ENABLE_PUBLISHING === 'true' && !xClient.isConfigured()) {
+    console.error('❌ ENABLE_PUBLISHING is true but X_USER_ACCESS_TOKEN is not set - publishing will fail');
+  }
+  const pollInterval = parseInt(process.env.PUBLISH_POLL_INTERVAL_MS || '60000', 10);
+  setInterval(pollApprovedPages, pollInterval);
+  pollApprovedPages();
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Email-to-Tweet server running on port ${PORT}`);
@@ -826,4 +1118,10 @@ app.listen(PORT, () => {
   console.log(`📝 Using prompt from Notion page: ${process.env.PROMPT_PAGE_ID || 'Simplified fallback'}`);
   console.log(`🔗 Newsletter link: ${process.env.NEWSLETTER_LINK || 'Not set'}`);
   console.log(`🎯 Multi-Pass Generation: ${process.env.ENABLE_MULTIPASS === 'true' ? 'ENABLED' : 'DISABLED'}`);
+  console.log(`🔐 Webhook Authentication: ${webhookSecurity.mode.toUpperCase()}`);
+  console.log(`🐦 Publishing to X: ${process.env.ENABLE_PUBLISHING === 'true' ? `ENABLED (${xClient.baseUrl})` : 'DISABLED'}`);
+  console.log(`📅 Posting Scheduler: ${postScheduler ? `ENABLED (${postScheduler.timeZone})` : 'DISABLED'}`);
+  if (webhookSecurity.mode === 'off') {
+    console.log('⚠️ Webhook authentication is OFF - anyone with the URL can trigger generation');
+  }
 });
@@ -0,0 +1,269 @@
+// Durable File-Backed Job Queue
+// Persists every job to disk so work survives container restarts and failed runs are retried
+
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./json-store');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+class JobQueue {
+  constructor(options = {}) {
+    this.filePath = options.filePath || dataPath('jobs.json');
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.JOB_RETRY_BASE_MS || '30000', 10);
+    this.maxDelayMs = options.maxDelayMs || 15 * 60 * 1000;
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY || '1', 10);
+    this.historyLimit = options.historyLimit || parseInt(process.env.JOB_HISTORY_LIMIT || '500', 10);
+
+    this.jobs = new Map();
+    this.handlers = new Map();
+    this.activeCount = 0;
+    this.timer = null;
+    this.started = false;
+  }
+
+  // Register the async function that executes jobs of a given type
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Load persisted jobs and re-queue anything that was in flight when the process stopped
+  start() {
+    this.load();
+
+    let recovered = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.status = JOB_STATUS.QUEUED;
+        job.nextRunAt = new Date().toISOString();
+        job.updatedAt = job.nextRunAt;
+        job.events.push({ at: job.updatedAt, message: 'Recovered after restart' });
+        recovered++;
+      }
+    }
+
+    if (recovered > 0) {
+      console.log(`♻️ Recovered ${recovered} in-flight job(s) from previous run`);
+      this.save();
+    }
+
+    this.started = true;
+    console.log(`📦 Job queue started (${this.jobs.size} jobs on record, store: ${this.filePath})`);
+    this.schedule(0);
+  }
+
+  // Queue a job. When options.key matches a job that is still queued or running,
+  // that job is returned instead of creating a duplicate
+  enqueue(type, payload, options = {}) {
+    const key = options.key || null;
+
+    if (key) {
+      const active = this.findActive(key);
+      if (active) {
+        console.log(`🔁 Job ${active.id} already ${active.status} for ${key} - attaching`);
+        return { job: active, created: false };
+      }
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      key,
+      payload,
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      nextRunAt: now,
+      result: null,
+      error: null,
+      events: [{ at: now, message: 'Queued' }]
+    };
+
+    this.jobs.set(job.id, job);
+    this.prune();
+    this.save();
+    console.log(`📥 Job ${job.id} queued (${type})`);
+
+    if (this.started) {
+      this.schedule(0);
+    }
+    return { job, created: true };
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // The queued or running job holding an idempotency key, if any
+  findActive(key) {
+    for (const job of this.jobs.values()) {
+      if (job.key === key && (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING)) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  // Most recent successful job for a key whose result matches the predicate
+  findSucceeded(key, predicate = () => true) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.key === key && job.status === JOB_STATUS.SUCCEEDED && predicate(job.result || {}))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null;
+  }
+
+  // Newest first, optionally filtered by status and type
+  list({ status, type, limit = 50 } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !status || job.status === status)
+      .filter(job => !type || job.type === type)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  counts() {
+    const counts = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+    for (const job of this.jobs.values()) {
+      counts[job.status]++;
+    }
+    return counts;
+  }
+
+  // --- Processing ---
+
+  schedule(delayMs) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.tick();
+    }, Math.max(0, delayMs));
+    this.timer.unref();
+  }
+
+  tick() {
+    const now = Date.now();
+
+    while (this.activeCount < this.concurrency) {
+      const next = this.nextDueJob(now);
+      if (!next) break;
+      this.run(next);
+    }
+
+    // Wake up again for the earliest job still waiting on its backoff
+    const waiting = Array.from(this.jobs.values())
+      .filter(job => job.status === JOB_STATUS.QUEUED)
+      .map(job => Date.parse(job.nextRunAt));
+
+    if (waiting.length > 0 && this.activeCount < this.concurrency) {
+      this.schedule(Math.min(...waiting) - now);
+    }
+  }
+
+  nextDueJob(now) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.status === JOB_STATUS.QUEUED && Date.parse(job.nextRunAt) <= now)
+      .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt))[0] || null;
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+    const startedAt = new Date().toISOString();
+
+    job.status = JOB_STATUS.RUNNING;
+    job.attempts++;
+    job.startedAt = startedAt;
+    job.updatedAt = startedAt;
+    job.events.push({ at: startedAt, message: `Attempt ${job.attempts}/${job.maxAttempts} started` });
+    this.activeCount++;
+    this.save();
+
+    console.log(`▶️ Job ${job.id} running (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+
+      const result = await handler(job.payload, job);
+      this.complete(job, result);
+    } catch (error) {
+      this.fail(job, error);
+    } finally {
+      this.activeCount--;
+      this.save();
+      this.schedule(0);
+    }
+  }
+
+  complete(job, result) {
+    const now = new Date().toISOString();
+    job.status = JOB_STATUS.SUCCEEDED;
+    job.result = result === undefined ? null : result;
+    job.error = null;
+    job.finishedAt = now;
+    job.updatedAt = now;
+    job.events.push({ at: now, message: 'Succeeded' });
+    console.log(`✅ Job ${job.id} succeeded`);
+  }
+
+  fail(job, error) {
+    const now = new Date().toISOString();
+    job.error = error.message;
+    job.updatedAt = now;
+
+    if (job.attempts < job.maxAttempts) {
+      // Exponential backoff with a little jitter so retries don't line up
+      const delay = Math.min(this.baseDelayMs * Math.pow(2, job.attempts - 1), this.maxDelayMs);
+      const jittered = Math.round(delay * (0.8 + Math.random() * 0.4));
+      job.status = JOB_STATUS.QUEUED;
+      job.nextRunAt = new Date(Date.now() + jittered).toISOString();
+      job.events.push({ at: now, message: `Attempt ${job.attempts} failed: ${error.message}. Retrying in ${jittered}ms` });
+      console.error(`⚠️ Job ${job.id} failed (attempt ${job.attempts}), retrying in ${jittered}ms:`, error.message);
+    } else {
+      job.status = JOB_STATUS.FAILED;
+      job.finishedAt = now;
+      job.events.push({ at: now, message: `Failed permanently: ${error.message}` });
+      console.error(`❌ Job ${job.id} failed permanently after ${job.attempts} attempts:`, error.message);
+    }
+  }
+
+  // --- Persistence ---
+
+  load() {
+    const stored = readJson(this.filePath, { jobs: [] }, 'job store');
+    for (const job of stored.jobs || []) {
+      this.jobs.set(job.id, job);
+    }
+  }
+
+  save() {
+    writeJson(this.filePath, { jobs: Array.from(this.jobs.values()) }, 'job store');
+  }
+
+  // Drop the oldest finished jobs once the history limit is reached
+  prune() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    const excess = this.jobs.size - this.historyLimit;
+    for (let i = 0; i < excess && i < finished.length; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+}
+
+JobQueue.STATUS = JOB_STATUS;
+
+module.exports = JobQueue;
@@ -0,0 +1,46 @@
+// JSON File Store
+// The small JSON files kept in DATA_DIR (jobs, prompt cache, publish progress, usage,
+// similarity index). Writes go to a temp file that is renamed over the old one, so a
+// crash mid-write never leaves a corrupt store
+
+const fs = require('fs');
+const path = require('path');
+
+// Default location of a store file (mount a volume at DATA_DIR to keep it across deploys)
+function dataPath(fileName, env = process.env) {
+  return path.join(env.DATA_DIR || './data', fileName);
+}
+
+// Parsed contents of the file, or fallback when it doesn't exist or can't be read.
+// label names the store in the error log ("job store", "usage store", ...)
+function readJson(filePath, fallback, label) {
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`❌ Could not read ${label} ${filePath}:`, error.message);
+  }
+  return fallback;
+}
+
+// Write value as JSON (temp file + rename). Failures are logged, not thrown: the stores
+// are a safety net and a failed write shouldn't fail the work being recorded
+function writeJson(filePath, value, label) {
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+    fs.renameSync(tempPath, filePath);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to persist ${label}:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  dataPath,
+  readJson,
+  writeJson
+};
@@ -0,0 +1,61 @@
+// Local Mock of the X API v2 tweet endpoint
+// Run with `npm run mock:x` and set X_API_BASE_URL=http://localhost:8787 to exercise
+// publishing end to end. MOCK_X_FAIL_AFTER=n makes every call after the n-th fail
+// with a 503, to test resuming a partially published thread (publisher.test.js runs
+// both against it: `npm run test:publish`)
+
+const express = require('express');
+const crypto = require('crypto');
+
+function createMockXServer(options = {}) {
+  const failAfter = options.failAfter !== undefined
+    ? options.failAfter
+    : (process.env.MOCK_X_FAIL_AFTER ? parseInt(process.env.MOCK_X_FAIL_AFTER, 10) : null);
+
+  const app = express();
+  const tweets = [];
+
+  app.use(express.json());
+
+  app.post('/2/tweets', (req, res) => {
+    if (!req.get('authorization')) {
+      return res.status(401).json({ title: 'Unauthorized', detail: 'Missing bearer token' });
+    }
+
+    if (failAfter !== null && tweets.length >= failAfter) {
+      console.log(`🧪 Mock X: simulating failure for call ${tweets.length + 1}`);
+      return res.status(503).json({ title: 'Service Unavailable', detail: 'Simulated failure' });
+    }
+
+    const { text, reply } = req.body || {};
+    if (!text) {
+      return res.status(400).json({ title: 'Invalid Request', detail: 'text is required' });
+    }
+
+    const tweet = {
+      id: String(BigInt('0x' + crypto.randomBytes(7).toString('hex'))),
+      text,
+      in_reply_to_tweet_id: reply ? reply.in_reply_to_tweet_id : null
+    };
+    tweets.push(tweet);
+
+    console.log(`🧪 Mock X: posted ${tweet.id}${tweet.in_reply_to_tweet_id ? ` (reply to ${tweet.in_reply_to_tweet_id})` : ''}`);
+    res.status(201).json({ data: { id: tweet.id, text: tweet.text } });
+  });
+
+  // Inspect what has been "published"
+  app.get('/2/tweets', (req, res) => {
+    res.json({ data: tweets });
+  });
+
+  return { app, tweets };
+}
+
+if (require.main === module) {
+  const port = process.env.MOCK_X_PORT || 8787;
+  createMockXServer().app.listen(port, () => {
+    console.log(`🧪 Mock X API listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = createMockXServer;
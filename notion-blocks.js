@@ -0,0 +1,227 @@
+// Notion Block Building & Page Writing
+// Builds text blocks within Notion's request limits (2000 characters per rich_text item,
+// 100 items per rich_text array, 100 children per request) and writes long pages and
+// toggles in batches, keeping whatever content Notion accepts when part is rejected
+
+const TEXT_LIMIT = 2000;
+const RICH_TEXT_ITEMS_LIMIT = 100;
+const CHILDREN_LIMIT = 100;
+
+// Split text into pieces of at most `limit` characters, preferring to break after
+// whitespace and never inside a surrogate pair
+function splitText(text, limit = TEXT_LIMIT) {
+  const pieces = [];
+  let rest = String(text);
+
+  while (rest.length > limit) {
+    let cut = limit;
+    const window = rest.slice(Math.floor(limit / 2), limit);
+    const space = window.search(/\s\S*$/);
+    if (space !== -1) {
+      cut = Math.floor(limit / 2) + space + 1;
+    } else if (/[\uD800-\uDBFF]/.test(rest[cut - 1])) {
+      cut--;
+    }
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  pieces.push(rest);
+
+  return pieces;
+}
+
+// rich_text array for one piece of text, split across as many items as it needs
+function richText(content, annotations) {
+  const pieces = splitText(content || '');
+  if (pieces.length > RICH_TEXT_ITEMS_LIMIT) {
+    console.log(`⚠️ Text of ${content.length} characters exceeds what one Notion block holds - truncating`);
+  }
+
+  return pieces.slice(0, RICH_TEXT_ITEMS_LIMIT).map(piece => {
+    const item = { type: 'text', text: { content: piece } };
+    if (annotations) item.annotations = annotations;
+    return item;
+  });
+}
+
+// rich_text item linking to another Notion page (shown with the page's current title)
+function pageMention(pageId, annotations) {
+  const item = { type: 'mention', mention: { page: { id: pageId } } };
+  if (annotations) item.annotations = annotations;
+  return item;
+}
+
+function paragraph(content, annotations) {
+  return { object: 'block', type: 'paragraph', paragraph: { rich_text: richText(content, annotations) } };
+}
+
+function heading(level, content) {
+  const type = `heading_${level}`;
+  return { object: 'block', type, [type]: { rich_text: richText(content) } };
+}
+
+function divider() {
+  return { object: 'block', type: 'divider', divider: {} };
+}
+
+function inBatches(blocks, size = CHILDREN_LIMIT) {
+  const batches = [];
+  for (let i = 0; i < blocks.length; i += size) {
+    batches.push(blocks.slice(i, i + size));
+  }
+  return batches;
+}
+
+// Notion rejected the request body itself, so sending it again unchanged cannot succeed
+function isValidationError(error) {
+  return error.code === 'validation_error' || error.status === 400;
+}
+
+function blockText(block) {
+  const data = block[block.type] || {};
+  return (data.rich_text || []).map(item => (item.text ? item.text.content : item.plain_text || '')).join('');
+}
+
+// Mention types a request can create again as they were read
+const COPYABLE_MENTIONS = new Set(['page', 'database', 'user', 'date']);
+
+// Request-ready copy of a block read from Notion (text blocks and dividers; rich_text
+// keeps its text, links, annotations and page/user/date mentions). Returns null for
+// types that can't be copied
+function copyBlock(block) {
+  if (block.type === 'divider') return divider();
+
+  const data = block[block.type];
+  if (!data || !Array.isArray(data.rich_text)) return null;
+
+  return {
+    object: 'block',
+    type: block.type,
+    [block.type]: {
+      rich_text: data.rich_text.map(item => (
+        item.type === 'mention' && COPYABLE_MENTIONS.has(item.mention.type)
+          ? { type: 'mention', mention: { [item.mention.type]: item.mention[item.mention.type] }, annotations: item.annotations }
+          : {
+            type: 'text',
+            text: { content: item.plain_text, link: item.href ? { url: item.href } : null },
+            annotations: item.annotations
+          }
+      ))
+    }
+  };
+}
+
+// --- Page writing ---
+
+// Append blocks to a page or block 100 at a time. If Notion rejects a batch, its blocks
+// are retried one by one so only the offending ones are left out; if it stops answering,
+// the remaining blocks are left out. The skipped text is logged and a note on the page
+// says content is missing. options.after inserts the blocks after that child instead of
+// at the end. Returns { skipped, error }
+async function appendBlocks(notion, blockId, blocks, { after } = {}) {
+  const batches = inBatches(blocks);
+  const skippedBlocks = [];
+  let lastError = null;
+
+  // Each request goes after the last block the previous one added, keeping them in order
+  const append = async children => {
+    const response = await notion.blocks.children.append({ block_id: blockId, children, ...(after ? { after } : {}) });
+    if (after && response.results.length > 0) after = response.results[response.results.length - 1].id;
+  };
+
+  for (let i = 0; i < batches.length; i++) {
+    try {
+      await append(batches[i]);
+      continue;
+    } catch (error) {
+      lastError = error;
+      if (!isValidationError(error)) {
+        console.error(`❌ Could not add blocks to ${blockId}: ${error.message}`);
+        skippedBlocks.push(...batches.slice(i).flat());
+        break;
+      }
+    }
+
+    for (const block of batches[i]) {
+      try {
+        await append([block]);
+      } catch (error) {
+        lastError = error;
+        skippedBlocks.push(block);
+      }
+    }
+  }
+
+  if (skippedBlocks.length > 0) {
+    console.error(`⚠️ ${skippedBlocks.length}/${blocks.length} blocks were not added to ${blockId}. Missing text:`);
+    skippedBlocks.forEach(block => console.error(`   [${block.type}] ${blockText(block)}`));
+
+    try {
+      await append([paragraph(
+        `⚠️ ${skippedBlocks.length} block(s) could not be added here (${lastError.message}). Check logs for the missing text.`,
+        { color: 'red', italic: true }
+      )]);
+    } catch (error) {
+      console.error('⚠️ Could not add the missing-content note:', error.message);
+    }
+  }
+
+  return {
+    skipped: skippedBlocks.length,
+    error: skippedBlocks.length > 0 ? lastError.message : null
+  };
+}
+
+// Create a page with the first 100 blocks and append the rest (see appendBlocks). If
+// Notion rejects the first batch, the page is created empty and everything is appended.
+// Returns { page, skipped, error } (skipped = number of blocks that could not be added)
+async function createPageWithBlocks(notion, page, blocks) {
+  let response;
+  let pending;
+
+  try {
+    response = await notion.pages.create({ ...page, children: blocks.slice(0, CHILDREN_LIMIT) });
+    pending = blocks.slice(CHILDREN_LIMIT);
+  } catch (error) {
+    if (!isValidationError(error)) throw error;
+    console.log(`⚠️ Notion rejected the page content (${error.message}) - creating it empty and adding blocks in batches`);
+    response = await notion.pages.create({ ...page, children: [] });
+    pending = blocks;
+  }
+
+  const { skipped, error } = await appendBlocks(notion, response.id, pending);
+  return { page: response, skipped, error };
+}
+
+// Append a toggle holding the given blocks (nested children are capped at 100 per
+// request, so the rest are appended to the toggle afterwards); options.after as for
+// appendBlocks. Returns { id, skipped, error } with id = the toggle's block id
+async function appendToggle(notion, blockId, title, children, { after } = {}) {
+  const response = await notion.blocks.children.append({
+    block_id: blockId,
+    children: [{
+      object: 'block',
+      type: 'toggle',
+      toggle: { rich_text: richText(title), children: children.slice(0, CHILDREN_LIMIT) }
+    }],
+    ...(after ? { after } : {})
+  });
+
+  const id = response.results[0].id;
+  return { id, ...await appendBlocks(notion, id, children.slice(CHILDREN_LIMIT)) };
+}
+
+module.exports = {
+  TEXT_LIMIT,
+  CHILDREN_LIMIT,
+  splitText,
+  richText,
+  pageMention,
+  paragraph,
+  heading,
+  divider,
+  copyBlock,
+  appendBlocks,
+  appendToggle,
+  createPageWithBlocks
+};
@@ -0,0 +1,376 @@
+// Notion Page Content Extraction
+// Walks the full block tree of a page (all pages of results, all nested children)
+// and renders it as Markdown that keeps headings, nesting and list numbering
+
+// Blocks whose children belong to another page/database and must not be inlined
+const NO_DESCENT_TYPES = new Set(['child_page', 'child_database']);
+
+// Navigation-only blocks that carry no content worth extracting
+const IGNORED_TYPES = new Set(['table_of_contents', 'breadcrumb']);
+
+function richTextToPlain(richText) {
+  return (richText || []).map(rt => rt.plain_text).join('');
+}
+
+// Option name of a select or status property, or null when it is empty or missing
+function selectName(property) {
+  return property && property[property.type] ? property[property.type].name || null : null;
+}
+
+// Plain text of a page's title property ('' when it has none)
+function pageTitle(page) {
+  const titleProperty = Object.values(page.properties || {}).find(prop => prop.type === 'title');
+  return titleProperty ? richTextToPlain(titleProperty.title) : '';
+}
+
+// Notion IDs arrive both with and without dashes; compare them in one form
+function normalizeId(id) {
+  return String(id || '').replace(/-/g, '').toLowerCase();
+}
+
+function notionPageUrl(id) {
+  return `https://www.notion.so/${String(id).replace(/-/g, '')}`;
+}
+
+// Wrap text in Markdown markers, keeping surrounding whitespace outside them
+// ("**bold **" is not valid Markdown, " **bold** " is)
+function wrapMarkdown(text, marker) {
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return text;
+  return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+}
+
+function applyAnnotations(text, annotations = {}) {
+  if (annotations.code) {
+    text = wrapMarkdown(text, '`');
+  }
+  if (annotations.bold) {
+    text = wrapMarkdown(text, '**');
+  }
+  if (annotations.italic) {
+    text = wrapMarkdown(text, '_');
+  }
+  if (annotations.strikethrough) {
+    text = wrapMarkdown(text, '~~');
+  }
+  return text;
+}
+
+function mentionToMarkdown(rt, mentionTitles) {
+  const mention = rt.mention;
+
+  switch (mention.type) {
+    case 'page':
+    case 'database': {
+      const id = mention[mention.type].id;
+      const title = mentionTitles.get(id) || rt.plain_text;
+      return `[${title}](${rt.href || notionPageUrl(id)})`;
+    }
+    case 'user': {
+      const name = mentionTitles.get(mention.user.id) || rt.plain_text.replace(/^@/, '');
+      return `@${name}`;
+    }
+    case 'link_preview':
+      return `[${rt.plain_text}](${mention.link_preview.url})`;
+    case 'link_mention':
+      return `[${mention.link_mention.title || rt.plain_text}](${mention.link_mention.href})`;
+    default:
+      // Dates and template mentions already read well as plain text
+      return rt.plain_text;
+  }
+}
+
+// Convert Notion rich text to Markdown, keeping links, mentions, equations and emphasis
+function richTextToMarkdown(richText, mentionTitles = new Map()) {
+  return (richText || []).map(rt => {
+    if (rt.type === 'equation') {
+      return `$${rt.equation.expression}$`;
+    }
+
+    if (rt.type === 'mention') {
+      return applyAnnotations(mentionToMarkdown(rt, mentionTitles), rt.annotations);
+    }
+
+    const text = applyAnnotations(rt.plain_text, rt.annotations);
+    if (!rt.href || !rt.plain_text.trim()) {
+      return text;
+    }
+    const [, lead, inner, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return `${lead}[${inner}](${rt.href})${trail}`;
+  }).join('');
+}
+
+// Every rich text array carried by a block (body, caption and table cells)
+function blockRichTexts(block) {
+  const data = block[block.type] || {};
+  const texts = [data.rich_text, data.caption];
+  if (block.type === 'table_row') {
+    texts.push(...data.cells);
+  }
+  return texts.filter(Boolean);
+}
+
+// Look up titles for page/database mentions the integration reports as "Untitled"
+// and names for user mentions, so the Markdown reads like the page does in Notion
+async function resolveMentionTitles(notion, blocks) {
+  const pending = new Map();
+
+  const collect = list => {
+    for (const block of list) {
+      for (const richText of blockRichTexts(block)) {
+        for (const rt of richText) {
+          if (rt.type !== 'mention') continue;
+          const { type } = rt.mention;
+          if ((type === 'page' || type === 'database') && (!rt.plain_text || rt.plain_text === 'Untitled')) {
+            pending.set(rt.mention[type].id, type);
+          } else if (type === 'user' && !rt.mention.user.name && (!rt.plain_text || rt.plain_text === '@')) {
+            pending.set(rt.mention.user.id, type);
+          }
+        }
+      }
+      collect(block.children || []);
+    }
+  };
+  collect(blocks);
+
+  const titles = new Map();
+  for (const [id, type] of pending) {
+    try {
+      if (type === 'page') {
+        const page = await notion.pages.retrieve({ page_id: id });
+        titles.set(id, pageTitle(page) || 'Untitled');
+      } else if (type === 'database') {
+        const database = await notion.databases.retrieve({ database_id: id });
+        titles.set(id, richTextToPlain(database.title));
+      } else {
+        const user = await notion.users.retrieve({ user_id: id });
+        titles.set(id, user.name);
+      }
+    } catch (error) {
+      console.log(`⚠️ Could not resolve ${type} mention ${id}: ${error.message}`);
+    }
+  }
+
+  return titles;
+}
+
+// Every result of a paginated Notion list call, following next_cursor until the list
+// is exhausted (list receives params plus page_size and start_cursor)
+async function collectAll(list, params) {
+  const results = [];
+  let cursor;
+
+  do {
+    const response = await list({ ...params, page_size: 100, start_cursor: cursor });
+    results.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return results;
+}
+
+// Fetch every child of a block
+async function listAllChildren(notion, blockId) {
+  return collectAll(params => notion.blocks.children.list(params), { block_id: blockId });
+}
+
+// Every page of a database that matches the query (filter, sorts)
+async function queryAll(notion, query) {
+  return collectAll(params => notion.databases.query(params), query);
+}
+
+// Fetch the block tree below blockId; each block gets a `children` array
+async function fetchBlockTree(notion, blockId) {
+  const blocks = await listAllChildren(notion, blockId);
+
+  for (const block of blocks) {
+    block.children = [];
+    if (!block.has_children || NO_DESCENT_TYPES.has(block.type)) {
+      continue;
+    }
+
+    // A synced block copy keeps its content on the original block
+    const sourceId = block.type === 'synced_block' && block.synced_block.synced_from
+      ? block.synced_block.synced_from.block_id
+      : block.id;
+
+    block.children = await fetchBlockTree(notion, sourceId);
+  }
+
+  return blocks;
+}
+
+function indentLines(text, prefix) {
+  return text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+}
+
+function fileUrl(file) {
+  if (!file) return '';
+  if (file.type === 'external') return file.external.url;
+  if (file.type === 'file') return file.file.url;
+  return '';
+}
+
+// Render a list of sibling blocks. Numbered items are counted per run of siblings,
+// so numbering restarts whenever another block type interrupts the list
+function renderBlocks(blocks, state) {
+  const lines = [];
+  let listNumber = 0;
+
+  for (const block of blocks) {
+    listNumber = block.type === 'numbered_list_item' ? listNumber + 1 : 0;
+    const rendered = renderBlock(block, state, listNumber);
+    if (rendered !== null && rendered !== '') {
+      lines.push(rendered);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function renderChildren(children, state, prefix = '  ') {
+  if (children.length === 0) return '';
+  const rendered = renderBlocks(children, state);
+  return rendered ? '\n' + indentLines(rendered, prefix) : '';
+}
+
+function renderBlock(block, state, listNumber) {
+  const type = block.type;
+  const data = block[type] || {};
+  const text = richTextToMarkdown(data.rich_text, state.mentionTitles);
+  const children = block.children || [];
+  state.blockCount++;
+
+  switch (type) {
+    case 'paragraph':
+      return text + renderChildren(children, state);
+
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3': {
+      const level = '#'.repeat(parseInt(type.slice(-1), 10));
+      // Toggleable headings hold their section content as children
+      return `\n${level} ${text}` + (children.length ? '\n' + renderBlocks(children, state) : '');
+    }
+
+    case 'bulleted_list_item':
+      return `- ${text}` + renderChildren(children, state);
+
+    case 'numbered_list_item':
+      return `${listNumber}. ${text}` + renderChildren(children, state, '   ');
+
+    case 'to_do':
+      return `- [${data.checked ? 'x' : ' '}] ${text}` + renderChildren(children, state);
+
+    case 'toggle':
+      return `- ${text}` + renderChildren(children, state);
+
+    case 'quote': {
+      const body = text + (children.length ? '\n' + renderBlocks(children, state) : '');
+      return indentLines(body, '> ');
+    }
+
+    case 'callout': {
+      const icon = data.icon && data.icon.type === 'emoji' ? data.icon.emoji + ' ' : '';
+      const body = icon + text + (children.length ? '\n' + renderBlocks(children, state) : '');
+      return indentLines(body, '> ');
+    }
+
+    case 'code':
+      // Code is copied verbatim, never with Markdown emphasis inside
+      return '```' + (data.language && data.language !== 'plain text' ? data.language : '') + '\n' + richTextToPlain(data.rich_text) + '\n```';
+
+    case 'equation':
+      return `$$${data.expression}$$`;
+
+    case 'divider':
+      return '---';
+
+    case 'table':
+      return renderTable(children, state);
+
+    case 'column_list':
+    case 'column':
+    case 'synced_block':
+      return renderBlocks(children, state);
+
+    case 'bookmark':
+    case 'embed':
+    case 'link_preview': {
+      const caption = richTextToPlain(data.caption);
+      return caption ? `[${caption}](${data.url})` : data.url;
+    }
+
+    case 'image':
+    case 'video':
+    case 'audio':
+    case 'file':
+    case 'pdf': {
+      const caption = richTextToPlain(data.caption);
+      const url = fileUrl(data);
+      return type === 'image' ? `![${caption}](${url})` : `[${caption || type}](${url})`;
+    }
+
+    case 'child_page':
+      return `[Page: ${data.title}]`;
+
+    case 'child_database':
+      return `[Database: ${data.title}]`;
+
+    default:
+      if (!IGNORED_TYPES.has(type)) {
+        state.skippedTypes[type] = (state.skippedTypes[type] || 0) + 1;
+      }
+      return null;
+  }
+}
+
+function renderTable(children, state) {
+  const rows = children.filter(child => child.type === 'table_row');
+  if (rows.length === 0) return '';
+
+  const cells = rows.map(row => {
+    state.blockCount++;
+    return row.table_row.cells.map(cell => richTextToMarkdown(cell, state.mentionTitles).replace(/\|/g, '\\|').replace(/\n/g, ' '));
+  });
+
+  const lines = cells.map(rowCells => `| ${rowCells.join(' | ')} |`);
+  // Markdown tables need a header separator; without a header row the first row is used anyway
+  lines.splice(1, 0, `| ${cells[0].map(() => '---').join(' | ')} |`);
+  return lines.join('\n');
+}
+
+// Render an already-fetched block tree
+function renderBlockTree(blocks, mentionTitles = new Map()) {
+  const state = { blockCount: 0, skippedTypes: {}, mentionTitles };
+  const markdown = renderBlocks(blocks, state)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    markdown,
+    blockCount: state.blockCount,
+    skippedTypes: state.skippedTypes
+  };
+}
+
+// Fetch and render a whole page
+async function extractPageMarkdown(notion, pageId) {
+  const blocks = await fetchBlockTree(notion, pageId);
+  const mentionTitles = await resolveMentionTitles(notion, blocks);
+  return renderBlockTree(blocks, mentionTitles);
+}
+
+module.exports = {
+  normalizeId,
+  collectAll,
+  listAllChildren,
+  queryAll,
+  fetchBlockTree,
+  renderBlockTree,
+  richTextToPlain,
+  richTextToMarkdown,
+  pageTitle,
+  selectName,
+  extractPageMarkdown
+};
@@ -0,0 +1,160 @@
+// Per-Pass Generation Settings
+// Model, max_tokens, temperature and system prompt for every model call the generator
+// makes. Defaults come from CLAUDE_MODEL_NAME and the original token limits; a JSON file
+// (GENERATION_CONFIG_FILE) and PASS_<NAME>_* env vars override them, env winning:
+//
+//   { "defaults": { "model": "claude-3-5-sonnet-20241022" },
+//     "passes": { "analysis": { "model": "claude-3-5-haiku-20241022", "maxTokens": 800 },
+//                 "draft": { "temperature": 0.9, "system": "You write for founders." } } }
+
+const fs = require('fs');
+
+const PASS_DEFAULTS = {
+  extract: { label: 'Section insights', maxTokens: 1500 },
+  analysis: { label: 'Content analysis', maxTokens: 1000 },
+  draft: { label: 'Initial draft', maxTokens: 4000 },
+  assessment: { label: 'Quality assessment', maxTokens: 2000 },
+  refinement: { label: 'Refinement', maxTokens: 4000 },
+  commentRefinement: { label: 'Comment refinement', maxTokens: 3000 },
+  repeatRewrite: { label: 'Repeat rewrite', maxTokens: 4000 },
+  cta: { label: 'CTA enhancement', maxTokens: 3000 },
+  rewrite: { label: 'Post rewrite', maxTokens: 1000 },
+  fallback: { label: 'Fallback generation', maxTokens: 4000 },
+  singlePass: { label: 'Single-pass generation', maxTokens: 4000 }
+};
+
+const SETTING_KEYS = ['model', 'maxTokens', 'temperature', 'system'];
+
+// How a rejected value is shown in an error ("hot", 12.5)
+function shown(value) {
+  return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+// Problems with one pass's overrides (empty when valid)
+function validateSettings(where, settings) {
+  const errors = [];
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return [`${where} must be an object`];
+  }
+  for (const key of Object.keys(settings)) {
+    if (!SETTING_KEYS.includes(key)) {
+      errors.push(`${where}.${key} is not a known setting (use ${SETTING_KEYS.join(', ')})`);
+    }
+  }
+  if (settings.model !== undefined && (typeof settings.model !== 'string' || !settings.model.trim())) {
+    errors.push(`${where}.model must be a non-empty string`);
+  }
+  if (settings.maxTokens !== undefined && (!Number.isInteger(settings.maxTokens) || settings.maxTokens < 1 || settings.maxTokens > 64000)) {
+    errors.push(`${where}.maxTokens must be an integer between 1 and 64000 (got ${shown(settings.maxTokens)})`);
+  }
+  if (settings.temperature !== undefined && settings.temperature !== null &&
+      (!Number.isFinite(settings.temperature) || settings.temperature < 0 || settings.temperature > 1)) {
+    errors.push(`${where}.temperature must be a number between 0 and 1 (got ${shown(settings.temperature)})`);
+  }
+  if (settings.system !== undefined && typeof settings.system !== 'string') {
+    errors.push(`${where}.system must be a string`);
+  }
+
+  return errors;
+}
+
+// Numeric env value as a number; anything else stays a string so validation reports it
+function envNumber(value) {
+  return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+}
+
+// PASS_DRAFT_MAX_TOKENS style overrides for one pass
+function envSettings(passId, env) {
+  const prefix = `PASS_${passId.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}_`;
+  const settings = {};
+
+  if (env[`${prefix}MODEL`]) settings.model = env[`${prefix}MODEL`];
+  if (env[`${prefix}MAX_TOKENS`]) settings.maxTokens = envNumber(env[`${prefix}MAX_TOKENS`]);
+  if (env[`${prefix}TEMPERATURE`]) settings.temperature = envNumber(env[`${prefix}TEMPERATURE`]);
+  if (env[`${prefix}SYSTEM`]) settings.system = env[`${prefix}SYSTEM`];
+
+  return settings;
+}
+
+// Resolve settings for every pass. Invalid overrides are reported in errors and left
+// out, so a typo falls back to the defaults instead of breaking generation
+function loadPassConfig(env = process.env) {
+  const errors = [];
+  let file = {};
+
+  if (env.GENERATION_CONFIG_FILE) {
+    try {
+      file = JSON.parse(fs.readFileSync(env.GENERATION_CONFIG_FILE, 'utf8'));
+    } catch (error) {
+      errors.push(`Could not read GENERATION_CONFIG_FILE ${env.GENERATION_CONFIG_FILE}: ${error.message}`);
+    }
+  }
+
+  const valid = (where, settings) => {
+    const problems = validateSettings(where, settings);
+    errors.push(...problems);
+    return problems.length === 0 ? settings : {};
+  };
+
+  const defaults = file.defaults !== undefined ? valid('defaults', file.defaults) : {};
+  const filePasses = file.passes || {};
+  for (const passId of Object.keys(filePasses)) {
+    if (!PASS_DEFAULTS[passId]) {
+      errors.push(`passes.${passId} is not a known pass (use ${Object.keys(PASS_DEFAULTS).join(', ')})`);
+    }
+  }
+
+  const passes = {};
+  for (const [passId, passDefaults] of Object.entries(PASS_DEFAULTS)) {
+    passes[passId] = {
+      label: passDefaults.label,
+      model: env.CLAUDE_MODEL_NAME || 'claude-3-5-sonnet-20241022',
+      maxTokens: passDefaults.maxTokens,
+      temperature: null,
+      system: null,
+      ...defaults,
+      ...(filePasses[passId] !== undefined ? valid(`passes.${passId}`, filePasses[passId]) : {}),
+      ...valid(`PASS env for ${passId}`, envSettings(passId, env))
+    };
+  }
+
+  return { passes, errors, source: env.GENERATION_CONFIG_FILE || 'environment' };
+}
+
+// messages.create parameters for a pass (temperature/system only when configured)
+function messageParams(settings, messages) {
+  const params = {
+    model: settings.model,
+    max_tokens: settings.maxTokens,
+    messages
+  };
+  if (settings.temperature !== null && settings.temperature !== undefined) {
+    params.temperature = settings.temperature;
+  }
+  if (settings.system) {
+    params.system = settings.system;
+  }
+  return params;
+}
+
+// Health endpoint view (system prompts shortened)
+function describePassConfig(config) {
+  const passes = {};
+  for (const [passId, settings] of Object.entries(config.passes)) {
+    passes[passId] = {
+      model: settings.model,
+      maxTokens: settings.maxTokens,
+      temperature: settings.temperature === null ? 'default' : settings.temperature,
+      system: settings.system ? `${settings.system.slice(0, 60)}${settings.system.length > 60 ? '...' : ''}` : null
+    };
+  }
+  return { source: config.source, valid: config.errors.length === 0, errors: config.errors, passes };
+}
+
+module.exports = {
+  PASS_DEFAULTS,
+  loadPassConfig,
+  messageParams,
+  describePassConfig
+};
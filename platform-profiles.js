@@ -0,0 +1,180 @@
+// Platform Output Profiles
+// Character limits, counting rules, link/hashtag conventions, thread support and tone
+// for every platform the same newsletter insights are cross-posted to
+
+const { getCharacterLimit, weightedLength, truncateToLimit } = require('./character-counter');
+
+const URL_PATTERN = /https?:\/\/[^\s<>"]+/g;
+
+let graphemeSegmenter = null;
+
+// User-perceived characters (Bluesky counts these)
+function graphemeLength(text) {
+  if (!graphemeSegmenter) {
+    graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+  }
+  let count = 0;
+  for (const _ of graphemeSegmenter.segment(text || '')) count++;
+  return count;
+}
+
+// Code points, with every URL counted as 23 (Mastodon's rule)
+function mastodonLength(text) {
+  const withoutUrls = (text || '').replace(URL_PATTERN, 'x'.repeat(23));
+  return Array.from(withoutUrls).length;
+}
+
+function codePointLength(text) {
+  return Array.from(text || '').length;
+}
+
+const PLATFORM_PROFILES = {
+  x: {
+    id: 'x',
+    name: 'X',
+    postLabel: 'TWEET',
+    postNoun: 'Tweet',
+    getLimit: () => getCharacterLimit(),
+    measure: weightedLength,
+    countingRule: 'URLs count as 23 characters, emoji and CJK characters count as 2',
+    supportsThreads: true,
+    linkHandling: 'Put the link in the final CTA post only',
+    hashtags: 'Use at most 1-2 hashtags, and only when they add discoverability',
+    tone: 'Punchy and conversational; short lines and a strong first-line hook'
+  },
+  linkedin: {
+    id: 'linkedin',
+    name: 'LinkedIn',
+    postLabel: 'LINKEDIN POST',
+    postNoun: 'Post',
+    getLimit: () => 3000,
+    measure: codePointLength,
+    countingRule: 'every character counts as 1',
+    supportsThreads: false,
+    linkHandling: 'Keep links out of the main post; the CTA with the link is posted as the first comment',
+    hashtags: 'End with 3-5 relevant hashtags',
+    tone: 'Professional but personal; short paragraphs with line breaks, a first-person story or lesson'
+  },
+  threads: {
+    id: 'threads',
+    name: 'Threads',
+    postLabel: 'THREADS POST',
+    postNoun: 'Post',
+    getLimit: () => 500,
+    measure: codePointLength,
+    countingRule: 'every character counts as 1, links count at full length',
+    supportsThreads: true,
+    linkHandling: 'Put the link in the final CTA post only',
+    hashtags: 'Use a single topic tag at most',
+    tone: 'Casual and conversational, like talking to a friend'
+  },
+  bluesky: {
+    id: 'bluesky',
+    name: 'Bluesky',
+    postLabel: 'BLUESKY POST',
+    postNoun: 'Post',
+    getLimit: () => 300,
+    measure: graphemeLength,
+    countingRule: 'the limit is 300 graphemes (user-perceived characters), links count at full length',
+    supportsThreads: true,
+    linkHandling: 'Put the link in the final CTA post only and keep it short',
+    hashtags: 'Hashtags are optional; use at most one',
+    tone: 'Thoughtful and direct; no engagement bait'
+  },
+  mastodon: {
+    id: 'mastodon',
+    name: 'Mastodon',
+    postLabel: 'MASTODON POST',
+    postNoun: 'Toot',
+    getLimit: () => 500,
+    measure: mastodonLength,
+    countingRule: 'every URL counts as 23 characters, everything else as 1',
+    supportsThreads: true,
+    linkHandling: 'Links are welcome inline and in the CTA',
+    hashtags: 'Use 2-3 CamelCase hashtags (#SystemsThinking) - they are the main discovery mechanism',
+    tone: 'Genuine and non-promotional; the community dislikes marketing speak'
+  }
+};
+
+const PLATFORM_ALIASES = {
+  twitter: 'x',
+  'x (twitter)': 'x',
+  bsky: 'bluesky'
+};
+
+function getPlatformProfile(name) {
+  const key = String(name || 'x').trim().toLowerCase();
+  return PLATFORM_PROFILES[PLATFORM_ALIASES[key] || key] || null;
+}
+
+// Platforms requested on an E-mails page (multi-select or select property),
+// falling back to DEFAULT_PLATFORMS (comma separated, "x" when unset)
+function getRequestedPlatforms(emailPage, env = process.env) {
+  const propertyName = env.EMAIL_PLATFORMS_PROPERTY || 'Platforms';
+  const property = emailPage && emailPage.properties ? emailPage.properties[propertyName] : null;
+
+  let names = [];
+  if (property && property.type === 'multi_select') {
+    names = property.multi_select.map(option => option.name);
+  } else if (property && property.type === 'select' && property.select) {
+    names = [property.select.name];
+  }
+
+  if (names.length === 0) {
+    names = (env.DEFAULT_PLATFORMS || 'x').split(',');
+  }
+
+  const profiles = [];
+  for (const name of names) {
+    const profile = getPlatformProfile(name);
+    if (!profile) {
+      console.log(`⚠️ Unknown platform "${name}" requested - skipping`);
+    } else if (!profiles.includes(profile)) {
+      profiles.push(profile);
+    }
+  }
+
+  return profiles.length > 0 ? profiles : [PLATFORM_PROFILES.x];
+}
+
+// "142/280 ✅" style count for a profile
+function formatPlatformCount(text, profile) {
+  const length = profile.measure(text);
+  const limit = profile.getLimit();
+  return `${length}/${limit} ${length <= limit ? '✅' : '❌'}`;
+}
+
+// Cut text to the limit at a word boundary (last resort only)
+function truncateForProfile(text, profile, limit = profile.getLimit(), ellipsis = '...') {
+  if (profile.measure(text) <= limit) return text;
+  if (profile.measure === weightedLength) return truncateToLimit(text, limit, ellipsis);
+
+  const words = text.split(/(\s+)/);
+  let result = '';
+  for (const word of words) {
+    if (profile.measure((result + word).trimEnd() + ellipsis) > limit) break;
+    result += word;
+  }
+  return result.trimEnd() + ellipsis;
+}
+
+// Platform rules block inserted into generation prompts
+function describeProfileForPrompt(profile) {
+  return `
+PLATFORM: ${profile.name}
+- Character limit: ${profile.getLimit()} per post (${profile.countingRule})
+- Format: ${profile.supportsThreads ? 'a thread of posts, each one replying to the previous' : 'ONE single post - put all main content in a single entry of "posts"'}
+- Links: ${profile.linkHandling}
+- Hashtags: ${profile.hashtags}
+- Tone: ${profile.tone}`;
+}
+
+module.exports = {
+  PLATFORM_PROFILES,
+  getPlatformProfile,
+  getRequestedPlatforms,
+  formatPlatformCount,
+  truncateForProfile,
+  describeProfileForPrompt,
+  graphemeLength
+};
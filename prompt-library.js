@@ -0,0 +1,240 @@
+// Prompt Library
+// Chooses the content creation prompt for each email from a Notion database of prompt pages
+// and fills in {{template_variables}} from the email page and environment.
+// Prompt pages are cached in memory and on disk, keyed by their last_edited_time
+
+const crypto = require('crypto');
+const { dataPath, readJson, writeJson } = require('./json-store');
+const { extractPageMarkdown, pageTitle, queryAll, richTextToPlain } = require('./notion-content');
+const { getCharacterLimit } = require('./character-counter');
+
+// Convert a Notion property name ("Target Audience") into a template key ("target_audience")
+function toVariableName(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Plain-text value of any common database property type
+function propertyToText(property) {
+  if (!property) return '';
+
+  switch (property.type) {
+    case 'title':
+      return richTextToPlain(property.title);
+    case 'rich_text':
+      return richTextToPlain(property.rich_text);
+    case 'select':
+      return property.select ? property.select.name : '';
+    case 'status':
+      return property.status ? property.status.name : '';
+    case 'multi_select':
+      return property.multi_select.map(option => option.name).join(', ');
+    case 'number':
+      return property.number === null ? '' : String(property.number);
+    case 'checkbox':
+      return property.checkbox ? 'true' : 'false';
+    case 'date':
+      return property.date ? property.date.start : '';
+    case 'url':
+      return property.url || '';
+    case 'email':
+      return property.email || '';
+    case 'phone_number':
+      return property.phone_number || '';
+    case 'formula': {
+      const formula = property.formula;
+      const value = formula[formula.type];
+      return value === null || value === undefined ? '' : String(value);
+    }
+    default:
+      return '';
+  }
+}
+
+// Replace {{variable}} placeholders; unknown variables are left in place and reported
+function renderTemplate(template, variables) {
+  const missing = new Set();
+
+  const rendered = template.replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (match, name) => {
+    const key = name.toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(variables, key) && variables[key] !== '') {
+      return variables[key];
+    }
+    missing.add(key);
+    return match;
+  });
+
+  if (missing.size > 0) {
+    console.log(`⚠️ Prompt variables without a value: ${Array.from(missing).join(', ')}`);
+  }
+
+  return rendered;
+}
+
+class PromptLibrary {
+  constructor(notionClient, options = {}) {
+    this.notion = notionClient;
+    this.databaseId = options.databaseId || process.env.PROMPT_LIBRARY_DATABASE_ID || null;
+    this.selectorProperty = options.selectorProperty || process.env.EMAIL_PROMPT_PROPERTY || 'Prompt';
+    this.defaultPromptName = options.defaultPromptName || process.env.DEFAULT_PROMPT_NAME || null;
+    this.defaultPromptPageId = options.defaultPromptPageId || process.env.PROMPT_PAGE_ID || null;
+    this.cacheFile = options.cacheFile || dataPath('prompt-cache.json');
+
+    // pageId -> { name, content, lastEditedTime, contentHash, cachedAt }
+    this.cache = new Map();
+    // Last good listing of the library database (used when Notion is unreachable)
+    this.cachedListing = null;
+    this.loadCache();
+  }
+
+  // --- Cache persistence ---
+
+  loadCache() {
+    const stored = readJson(this.cacheFile, null, 'prompt cache');
+    if (!stored) return;
+    for (const entry of stored.prompts || []) {
+      this.cache.set(entry.pageId, entry);
+    }
+    this.cachedListing = stored.listing || null;
+    console.log(`📚 Loaded ${this.cache.size} cached prompt(s) from ${this.cacheFile}`);
+  }
+
+  saveCache() {
+    writeJson(this.cacheFile, {
+      prompts: Array.from(this.cache.values()),
+      listing: this.cachedListing
+    }, 'prompt cache');
+  }
+
+  // All prompt pages in the library database (last good listing if Notion is unreachable)
+  async listPrompts() {
+    if (!this.databaseId) return [];
+
+    let prompts;
+
+    try {
+      const pages = await queryAll(this.notion, { database_id: this.databaseId });
+      prompts = pages.map(page => ({ pageId: page.id, name: pageTitle(page), lastEditedTime: page.last_edited_time }));
+    } catch (error) {
+      if (!this.cachedListing) throw error;
+      console.log(`⚠️ Prompt library unreachable (${error.message}) - using cached listing`);
+      return this.cachedListing;
+    }
+
+    this.cachedListing = prompts;
+    this.saveCache();
+    return prompts;
+  }
+
+  async findPromptByName(name) {
+    const wanted = name.trim().toLowerCase();
+    const prompts = await this.listPrompts();
+    return prompts.find(prompt => prompt.name.trim().toLowerCase() === wanted) || null;
+  }
+
+  // Decide which prompt page applies to an email page.
+  // Order: the email's selector property (select or relation), the default library prompt, PROMPT_PAGE_ID
+  async selectPrompt(emailPage) {
+    const selector = emailPage && emailPage.properties ? emailPage.properties[this.selectorProperty] : null;
+
+    if (selector && selector.type === 'relation' && selector.relation.length > 0) {
+      const pageId = selector.relation[0].id;
+      const cached = this.cache.get(pageId);
+      return { pageId, name: cached ? cached.name : pageId, source: 'email relation' };
+    }
+
+    if (selector && selector.type === 'select' && selector.select) {
+      const prompt = await this.findPromptByName(selector.select.name);
+      if (prompt) {
+        return { ...prompt, source: 'email select' };
+      }
+      console.log(`⚠️ Prompt "${selector.select.name}" selected on email not found in prompt library, using default`);
+    }
+
+    if (this.defaultPromptName) {
+      const prompt = await this.findPromptByName(this.defaultPromptName);
+      if (prompt) {
+        return { ...prompt, source: 'library default' };
+      }
+      console.log(`⚠️ Default prompt "${this.defaultPromptName}" not found in prompt library`);
+    }
+
+    if (this.defaultPromptPageId) {
+      return { pageId: this.defaultPromptPageId, name: 'PROMPT_PAGE_ID', source: 'PROMPT_PAGE_ID' };
+    }
+
+    return null;
+  }
+
+  // Prompt page content, re-read from Notion only when its last_edited_time has changed.
+  // If Notion fails, the last good cached version is returned (flagged as stale)
+  async loadPromptContent(pageId) {
+    const cached = this.cache.get(pageId);
+
+    try {
+      const page = await this.notion.pages.retrieve({ page_id: pageId });
+
+      if (cached && cached.lastEditedTime === page.last_edited_time) {
+        console.log(`📚 Prompt cache hit for "${cached.name}" (edited ${cached.lastEditedTime})`);
+        return { ...cached, stale: false };
+      }
+
+      const { markdown } = await extractPageMarkdown(this.notion, pageId);
+      const entry = {
+        pageId,
+        name: pageTitle(page) || pageId,
+        content: markdown,
+        lastEditedTime: page.last_edited_time,
+        contentHash: crypto.createHash('sha256').update(markdown).digest('hex').slice(0, 12),
+        cachedAt: new Date().toISOString()
+      };
+
+      // Never let an empty read replace a good cached prompt - use the cached one instead
+      if (!markdown && cached) {
+        console.log(`⚠️ Prompt page "${entry.name}" read back empty - using cached prompt from ${cached.cachedAt}`);
+        return { ...cached, stale: true };
+      }
+      if (markdown) {
+        this.cache.set(pageId, entry);
+        this.saveCache();
+      }
+      return { ...entry, stale: false };
+
+    } catch (error) {
+      if (!cached) throw error;
+      console.log(`⚠️ Notion unavailable (${error.message}) - using cached prompt "${cached.name}" from ${cached.cachedAt}`);
+      return { ...cached, stale: true };
+    }
+  }
+
+  // Variables available to prompt templates. Later sources win:
+  // built-in defaults, PROMPT_VAR_* environment variables, then the email page's own properties
+  buildTemplateVariables(emailPage, env = process.env) {
+    const variables = {
+      newsletter_link: env.NEWSLETTER_LINK || '',
+      audience: env.PROMPT_AUDIENCE || '',
+      max_chars: String(getCharacterLimit(env)),
+      email_title: emailPage ? pageTitle(emailPage) : ''
+    };
+
+    for (const [key, value] of Object.entries(env)) {
+      if (key.startsWith('PROMPT_VAR_')) {
+        variables[toVariableName(key.slice('PROMPT_VAR_'.length))] = value;
+      }
+    }
+
+    if (emailPage && emailPage.properties) {
+      for (const [name, property] of Object.entries(emailPage.properties)) {
+        const value = propertyToText(property);
+        if (value) {
+          variables[toVariableName(name)] = value;
+        }
+      }
+    }
+
+    return variables;
+  }
+}
+
+PromptLibrary.renderTemplate = renderTemplate;
+
+module.exports = PromptLibrary;
@@ -0,0 +1,222 @@
+// Thread Publisher
+// Watches the Shortform database for pages marked "Approved" and posts them to X
+// as a reply chain (main posts, then the CTA). Tweet IDs are written back after every
+// post, so a thread that fails halfway resumes from the last post that went out
+
+const { dataPath, readJson, writeJson } = require('./json-store');
+const { listAllChildren, queryAll, richTextToPlain, selectName } = require('./notion-content');
+
+class ThreadPublisher {
+  constructor(notionClient, xClient, options = {}) {
+    this.notion = notionClient;
+    this.x = xClient;
+    this.databaseId = options.databaseId || process.env.SHORTFORM_DATABASE_ID;
+    this.statusProperty = options.statusProperty || process.env.PUBLISH_STATUS_PROPERTY || 'Status';
+    this.approvedValue = options.approvedValue || process.env.PUBLISH_APPROVED_VALUE || 'Approved';
+    this.publishedValue = options.publishedValue || process.env.PUBLISH_PUBLISHED_VALUE || 'Published';
+    this.failedValue = options.failedValue || process.env.PUBLISH_FAILED_VALUE || 'Publish Failed';
+    this.tweetIdsProperty = options.tweetIdsProperty || process.env.PUBLISH_TWEET_IDS_PROPERTY || 'Tweet IDs';
+    this.tweetUrlProperty = options.tweetUrlProperty || process.env.PUBLISH_TWEET_URL_PROPERTY || 'Tweet URL';
+    this.platformProperty = options.platformProperty || process.env.SHORTFORM_PLATFORM_PROPERTY || null;
+    this.progressFile = options.progressFile || dataPath('publish-progress.json');
+
+    this.schema = null;
+    this.progress = this.loadProgress();
+  }
+
+  // --- Database schema (only properties that exist are written) ---
+
+  async getSchema() {
+    if (!this.schema) {
+      const database = await this.notion.databases.retrieve({ database_id: this.databaseId });
+      this.schema = database.properties;
+    }
+    return this.schema;
+  }
+
+  async statusType() {
+    const schema = await this.getSchema();
+    const property = schema[this.statusProperty];
+    if (!property || (property.type !== 'status' && property.type !== 'select')) {
+      throw new Error(`Shortform database needs a "${this.statusProperty}" status or select property for publishing`);
+    }
+    return property.type;
+  }
+
+  // --- Local progress store (mirrors the Tweet IDs property) ---
+
+  loadProgress() {
+    return readJson(this.progressFile, {}, 'publish progress');
+  }
+
+  saveProgress() {
+    writeJson(this.progressFile, this.progress, 'publish progress');
+  }
+
+  // --- Finding work ---
+
+  // Approved Shortform pages for X (pages for other platforms are left alone unless
+  // allPlatforms is set, which the scheduler uses to put every page on the calendar)
+  async findApprovedPages({ allPlatforms = false } = {}) {
+    const type = await this.statusType();
+    const pages = await queryAll(this.notion, {
+      database_id: this.databaseId,
+      filter: {
+        property: this.statusProperty,
+        [type]: { equals: this.approvedValue }
+      }
+    });
+
+    return allPlatforms ? pages : pages.filter(page => this.isPublishable(page));
+  }
+
+  isPublishable(page) {
+    const platform = this.platformProperty ? selectName(page.properties[this.platformProperty]) : null;
+    return !platform || platform === 'X';
+  }
+
+  // --- Reading the thread from the page body ---
+
+  // Posts live under the "<Noun> Content:" heading (minus count lines and dividers);
+  // the CTA is the first paragraph under the "CTA <Noun>:" heading
+  async readThread(pageId) {
+    const blocks = await listAllChildren(this.notion, pageId);
+    const posts = [];
+    let cta = null;
+    let section = null;
+
+    for (const block of blocks) {
+      if (block.type === 'heading_2') {
+        const heading = richTextToPlain(block.heading_2.rich_text).trim();
+        if (/Content:$/.test(heading)) {
+          section = 'posts';
+        } else if (/^CTA /.test(heading)) {
+          section = 'cta';
+        } else {
+          section = null;
+        }
+        continue;
+      }
+
+      if (block.type !== 'paragraph' || !section) continue;
+
+      const text = richTextToPlain(block.paragraph.rich_text).trim();
+      if (!text || text === '---' || /^(CTA )?Character Count:/.test(text)) continue;
+
+      if (section === 'posts') {
+        posts.push(text);
+      } else if (section === 'cta' && cta === null) {
+        cta = text;
+      }
+    }
+
+    return cta ? [...posts, cta] : posts;
+  }
+
+  // IDs already posted for this page, from the page property or the local store
+  publishedIds(page) {
+    const property = page.properties[this.tweetIdsProperty];
+    const fromPage = property && property.type === 'rich_text'
+      ? richTextToPlain(property.rich_text).split(/[\s,]+/).filter(Boolean)
+      : [];
+    const fromStore = this.progress[page.id] ? this.progress[page.id].ids : [];
+    return fromPage.length >= fromStore.length ? fromPage : fromStore;
+  }
+
+  // --- Writing back ---
+
+  async updatePage(pageId, { ids, status }) {
+    const schema = await this.getSchema();
+    const properties = {};
+
+    if (ids && schema[this.tweetIdsProperty] && schema[this.tweetIdsProperty].type === 'rich_text') {
+      properties[this.tweetIdsProperty] = { rich_text: [{ text: { content: ids.join(', ') } }] };
+    }
+    if (ids && ids.length > 0 && schema[this.tweetUrlProperty] && schema[this.tweetUrlProperty].type === 'url') {
+      properties[this.tweetUrlProperty] = { url: this.x.postUrl(ids[0]) };
+    }
+    if (status) {
+      properties[this.statusProperty] = { [await this.statusType()]: { name: status } };
+    }
+
+    if (Object.keys(properties).length > 0) {
+      await this.notion.pages.update({ page_id: pageId, properties });
+    }
+  }
+
+  async appendPublishedLinks(pageId, ids) {
+    await this.notion.blocks.children.append({
+      block_id: pageId,
+      children: [{
+        object: 'block',
+        type: 'toggle',
+        toggle: {
+          rich_text: [{ type: 'text', text: { content: `Published to X (${new Date().toISOString()})` } }],
+          children: ids.map((id, i) => ({
+            object: 'block',
+            type: 'paragraph',
+            paragraph: {
+              rich_text: [{
+                type: 'text',
+                text: { content: `${i + 1}. ${this.x.postUrl(id)}`, link: { url: this.x.postUrl(id) } }
+              }]
+            }
+          }))
+        }
+      }]
+    });
+  }
+
+  // --- Publishing ---
+
+  // lastAttempt: no retry follows, so even a transient error marks the page failed
+  // (otherwise it stays approved and the poller queues it again forever)
+  async publishPage(pageId, { lastAttempt = false } = {}) {
+    const page = await this.notion.pages.retrieve({ page_id: pageId });
+    const statusName = selectName(page.properties[this.statusProperty]);
+
+    if (statusName !== this.approvedValue) {
+      console.log(`ℹ️ Page ${pageId} is "${statusName}", not "${this.approvedValue}" - skipping publish`);
+      return { status: 'skipped', reason: `Status is ${statusName}` };
+    }
+
+    const thread = await this.readThread(pageId);
+    if (thread.length === 0) {
+      throw new Error('No posts found on the page');
+    }
+
+    const ids = [...this.publishedIds(page)];
+    if (ids.length > 0) {
+      console.log(`↪️ Resuming page ${pageId} after ${ids.length}/${thread.length} posts`);
+    }
+
+    try {
+      for (let i = ids.length; i < thread.length; i++) {
+        const post = await this.x.createPost({ text: thread[i], replyToId: ids[ids.length - 1] });
+        ids.push(post.id);
+
+        // Record progress before the next post so a failure can resume from here
+        this.progress[pageId] = { ids, updatedAt: new Date().toISOString() };
+        this.saveProgress();
+        await this.updatePage(pageId, { ids });
+        console.log(`🐦 Posted ${i + 1}/${thread.length} for page ${pageId}: ${post.id}`);
+      }
+    } catch (error) {
+      console.error(`❌ Publishing stopped after ${ids.length}/${thread.length} posts for page ${pageId}:`, error.message);
+      if (!error.transient || lastAttempt) {
+        await this.updatePage(pageId, { ids, status: this.failedValue });
+      }
+      throw error;
+    }
+
+    await this.updatePage(pageId, { ids, status: this.publishedValue });
+    await this.appendPublishedLinks(pageId, ids);
+    delete this.progress[pageId];
+    this.saveProgress();
+
+    console.log(`✅ Published thread for page ${pageId}: ${this.x.postUrl(ids[0])}`);
+    return { status: 'published', page_id: pageId, tweet_ids: ids, url: this.x.postUrl(ids[0]) };
+  }
+}
+
+module.exports = ThreadPublisher;
@@ -0,0 +1,156 @@
+// Publishing against the mock X server (mock-x-server.js) with an in-memory Notion
+// stand-in: a full thread, a thread that fails halfway (MOCK_X_FAIL_AFTER) and resumes,
+// and a transient failure on the job's last attempt. Run with `npm run test:publish`
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createMockXServer = require('./mock-x-server');
+const XClient = require('./x-client');
+const ThreadPublisher = require('./publisher');
+
+const SCHEMA = {
+  Status: { type: 'select' },
+  'Tweet IDs': { type: 'rich_text' },
+  'Tweet URL': { type: 'url' }
+};
+
+function text(content) {
+  return [{ type: 'text', text: { content }, plain_text: content }];
+}
+
+function block(type, content) {
+  return { object: 'block', id: `${type}-${content}`, type, [type]: { rich_text: text(content) } };
+}
+
+// Notion client holding one page per id with the concept page layout
+function fakeNotion(pages) {
+  return {
+    databases: {
+      retrieve: async () => ({ properties: SCHEMA })
+    },
+    pages: {
+      retrieve: async ({ page_id }) => pages[page_id].page,
+      update: async ({ page_id, properties }) => {
+        const page = pages[page_id].page;
+        for (const [name, value] of Object.entries(properties)) {
+          page.properties[name] = value.rich_text
+            ? { type: 'rich_text', rich_text: text(value.rich_text.map(rt => rt.text.content).join('')) }
+            : { type: SCHEMA[name].type, ...value };
+        }
+        return page;
+      }
+    },
+    blocks: {
+      children: {
+        list: async ({ block_id }) => ({ results: pages[block_id].blocks, has_more: false }),
+        append: async ({ block_id, children }) => {
+          pages[block_id].appended.push(...children);
+          return { results: children };
+        }
+      }
+    }
+  };
+}
+
+function approvedPage(id, posts, cta) {
+  return {
+    page: {
+      id,
+      properties: {
+        Status: { type: 'select', select: { name: 'Approved' } },
+        'Tweet IDs': { type: 'rich_text', rich_text: [] }
+      }
+    },
+    blocks: [
+      block('heading_2', 'Tweet Content:'),
+      ...posts.flatMap(post => [block('paragraph', post), block('paragraph', 'Character Count: 10/280')]),
+      block('heading_2', 'CTA Tweet:'),
+      block('paragraph', cta)
+    ],
+    appended: []
+  };
+}
+
+function status(pages, id) {
+  return pages[id].page.properties.Status.select.name;
+}
+
+function tweetIds(pages, id) {
+  return pages[id].page.properties['Tweet IDs'].rich_text.map(rt => rt.plain_text).join('').split(', ').filter(Boolean);
+}
+
+async function withMockX(failAfter, fn) {
+  const mock = createMockXServer({ failAfter });
+  const server = await new Promise(resolve => {
+    const listening = mock.app.listen(0, () => resolve(listening));
+  });
+  try {
+    const x = new XClient({ accessToken: 'test-token', baseUrl: `http://127.0.0.1:${server.address().port}` });
+    return await fn(x, mock.tweets);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const tempDirs = [];
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function publisher(notion, x) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'publish-test-'));
+  tempDirs.push(dir);
+  return new ThreadPublisher(notion, x, { databaseId: 'shortform-db', progressFile: path.join(dir, 'publish-progress.json') });
+}
+
+test('publishes the posts and CTA as one reply chain', async () => {
+  const pages = { p1: approvedPage('p1', ['First post', 'Second post'], 'Read more: https://example.com') };
+
+  await withMockX(null, async (x, tweets) => {
+    const result = await publisher(fakeNotion(pages), x).publishPage('p1');
+
+    assert.strictEqual(result.status, 'published');
+    assert.deepStrictEqual(tweets.map(tweet => tweet.text), ['First post', 'Second post', 'Read more: https://example.com']);
+    assert.strictEqual(tweets[0].in_reply_to_tweet_id, null);
+    assert.strictEqual(tweets[1].in_reply_to_tweet_id, tweets[0].id);
+    assert.strictEqual(tweets[2].in_reply_to_tweet_id, tweets[1].id);
+    assert.strictEqual(status(pages, 'p1'), 'Published');
+    assert.deepStrictEqual(tweetIds(pages, 'p1'), tweets.map(tweet => tweet.id));
+    assert.strictEqual(pages.p1.appended[0].type, 'toggle');
+  });
+});
+
+test('resumes a thread that failed halfway from the last posted tweet', async () => {
+  const pages = { p2: approvedPage('p2', ['One', 'Two', 'Three'], 'CTA https://example.com') };
+  const notion = fakeNotion(pages);
+
+  const firstIds = await withMockX(2, async (x, tweets) => {
+    await assert.rejects(publisher(notion, x).publishPage('p2'), error => error.transient === true);
+    assert.strictEqual(tweets.length, 2);
+    return tweets.map(tweet => tweet.id);
+  });
+
+  // A transient failure leaves the page approved with the posted ids recorded
+  assert.strictEqual(status(pages, 'p2'), 'Approved');
+  assert.deepStrictEqual(tweetIds(pages, 'p2'), firstIds);
+
+  await withMockX(null, async (x, tweets) => {
+    const result = await publisher(notion, x).publishPage('p2');
+
+    assert.deepStrictEqual(tweets.map(tweet => tweet.text), ['Three', 'CTA https://example.com']);
+    assert.strictEqual(tweets[0].in_reply_to_tweet_id, firstIds[1]);
+    assert.deepStrictEqual(result.tweet_ids, [...firstIds, ...tweets.map(tweet => tweet.id)]);
+    assert.strictEqual(status(pages, 'p2'), 'Published');
+  });
+});
+
+test('marks the page failed when a transient error hits the last attempt', async () => {
+  const pages = { p3: approvedPage('p3', ['Only post'], 'CTA https://example.com') };
+
+  await withMockX(0, async x => {
+    await assert.rejects(publisher(fakeNotion(pages), x).publishPage('p3', { lastAttempt: true }));
+  });
+
+  assert.strictEqual(status(pages, 'p3'), 'Publish Failed');
+});
@@ -0,0 +1,47 @@
+// Quality Rubric
+// Criteria the assessment pass scores every concept on (1-10 each), the overall score
+// they add up to, and the refinement loop's settings: concepts are refined until their
+// overall score reaches QUALITY_THRESHOLD, for at most QUALITY_MAX_ITERATIONS rounds
+
+const RUBRIC_CRITERIA = [
+  { key: 'hook', label: 'Hook', description: 'Does the first post grab attention immediately?' },
+  { key: 'ahaClarity', label: 'Aha clarity', description: 'Is there ONE clear insight the reader takes away?' },
+  { key: 'mechanism', label: 'Mechanism', description: 'Are ideas explained (how and why), not just named?' },
+  { key: 'context', label: 'Context', description: 'Is the background a reader needs provided?' },
+  { key: 'ctaSpecificity', label: 'CTA specificity', description: 'Is the CTA unique and tied to this concept?' },
+  { key: 'naturalVoice', label: 'Natural voice', description: 'Does it sound conversational, not AI-generated?' }
+];
+
+function qualitySettings(env = process.env) {
+  return {
+    threshold: parseFloat(env.QUALITY_THRESHOLD || '7'),
+    maxIterations: parseInt(env.QUALITY_MAX_ITERATIONS || '2', 10)
+  };
+}
+
+// Mean of the criterion scores (one decimal), or null if any criterion is missing
+function overallScore(scores) {
+  if (!scores) return null;
+  const values = RUBRIC_CRITERIA.map(criterion => Number(scores[criterion.key]));
+  if (values.some(value => !Number.isFinite(value))) return null;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10;
+}
+
+// Page text for a concept's rubric result, e.g.
+// "Hook 8/10 · Aha clarity 7/10 · ... | Overall 7.5/10 ✅ (threshold 7, refined 2 times)"
+function formatRubric(rubric) {
+  const scores = RUBRIC_CRITERIA
+    .map(criterion => `${criterion.label} ${rubric.scores[criterion.key]}/10`)
+    .join(' · ');
+  const rounds = rubric.refinements === 0
+    ? 'not refined'
+    : `refined ${rubric.refinements === 1 ? 'once' : `${rubric.refinements} times`}`;
+  return `${scores} | Overall ${rubric.overall}/10 ${rubric.passed ? '✅' : '⚠️'} (threshold ${rubric.threshold}, ${rounds})`;
+}
+
+module.exports = {
+  RUBRIC_CRITERIA,
+  qualitySettings,
+  overallScore,
+  formatRubric
+};
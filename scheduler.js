@@ -0,0 +1,211 @@
+// Posting Scheduler
+// Spreads approved Shortform pages over a weekly posting schedule. Each page gets the
+// next free slot (timezone aware, with a minimum gap between posts and never right
+// next to another concept from the same email) written to its "Scheduled for" date,
+// which also drives the Notion calendar view
+
+const { queryAll } = require('./notion-content');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// How far ahead free slots are searched for
+const LOOKAHEAD_DAYS = 60;
+
+// Parse "mon-fri 09:00,13:00; sat 10:00" into { weekday: ['09:00', ...] }
+function parseSchedule(spec) {
+  const schedule = {};
+
+  for (const rule of spec.split(';').map(part => part.trim()).filter(Boolean)) {
+    const [daysPart, timesPart] = rule.split(/\s+/);
+    if (!daysPart || !timesPart) {
+      throw new Error(`Invalid schedule rule "${rule}" (expected e.g. "mon-fri 09:00,13:00")`);
+    }
+
+    const times = timesPart.split(',').map(time => {
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+        throw new Error(`Invalid time "${time}" in schedule rule "${rule}"`);
+      }
+      return time;
+    });
+
+    for (const dayToken of daysPart.toLowerCase().split(',')) {
+      const [from, to] = dayToken.split('-');
+      const start = DAY_NAMES.indexOf(from);
+      const end = DAY_NAMES.indexOf(to || from);
+      if (start === -1 || end === -1) {
+        throw new Error(`Invalid day "${dayToken}" in schedule rule "${rule}"`);
+      }
+      for (let day = start; ; day = (day + 1) % 7) {
+        schedule[day] = Array.from(new Set([...(schedule[day] || []), ...times])).sort();
+        if (day === end) break;
+      }
+    }
+  }
+
+  return schedule;
+}
+
+// Offset (ms) of a timezone from UTC at a given instant
+function timezoneOffset(timestamp, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+  for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+    parts[type] = parseInt(value, 10);
+  }
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// UTC timestamp of a wall-clock time in a timezone (handles DST changes)
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstPass = guess - timezoneOffset(guess, timeZone);
+  return guess - timezoneOffset(firstPass, timeZone);
+}
+
+// Calendar date (year, month, day) in a timezone
+function zonedDate(timestamp, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+    parts[type] = parseInt(value, 10);
+  }
+  return parts;
+}
+
+class PostScheduler {
+  constructor(notionClient, options = {}) {
+    this.notion = notionClient;
+    this.databaseId = options.databaseId || process.env.SHORTFORM_DATABASE_ID;
+    this.timeZone = options.timeZone || process.env.SCHEDULE_TIMEZONE || 'UTC';
+    this.schedule = parseSchedule(options.schedule || process.env.PUBLISH_SCHEDULE || 'mon-fri 09:00,13:00,17:00');
+    this.minGapMs = (options.minGapMinutes || parseInt(process.env.SCHEDULE_MIN_GAP_MINUTES || '120', 10)) * 60 * 1000;
+    this.scheduledForProperty = options.scheduledForProperty || process.env.SCHEDULED_FOR_PROPERTY || 'Scheduled for';
+    this.emailRelationProperty = options.emailRelationProperty || 'E-mails';
+    this.schemaChecked = false;
+
+    // Fail at startup on an unknown timezone rather than at the first scheduling run
+    timezoneOffset(Date.now(), this.timeZone);
+  }
+
+  async checkSchema() {
+    if (this.schemaChecked) return;
+    const database = await this.notion.databases.retrieve({ database_id: this.databaseId });
+    const property = database.properties[this.scheduledForProperty];
+    if (!property || property.type !== 'date') {
+      throw new Error(`Shortform database needs a "${this.scheduledForProperty}" date property for scheduling`);
+    }
+    this.schemaChecked = true;
+  }
+
+  scheduledTime(page) {
+    const property = page.properties[this.scheduledForProperty];
+    return property && property.date ? Date.parse(property.date.start) : null;
+  }
+
+  emailId(page) {
+    const relation = page.properties[this.emailRelationProperty];
+    return relation && relation.relation && relation.relation.length > 0
+      ? relation.relation[0].id.replace(/-/g, '')
+      : null;
+  }
+
+  // Slot times (UTC ms) from the weekly schedule, in order, starting the day before
+  // now so the first upcoming slot still has a neighbour to compare against
+  slotGrid(now = Date.now()) {
+    const today = zonedDate(now, this.timeZone);
+    const slots = [];
+
+    for (let offset = -1; offset < LOOKAHEAD_DAYS; offset++) {
+      const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+      const times = this.schedule[date.getUTCDay()] || [];
+
+      for (const time of times) {
+        const [hour, minute] = time.split(':').map(Number);
+        slots.push(zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, minute, this.timeZone));
+      }
+    }
+
+    return slots;
+  }
+
+  // Pages that already hold a slot from the start of the grid onwards
+  async findOccupiedSlots(since) {
+    const pages = await queryAll(this.notion, {
+      database_id: this.databaseId,
+      filter: {
+        property: this.scheduledForProperty,
+        date: { on_or_after: new Date(since).toISOString() }
+      }
+    });
+    return pages.map(page => ({ pageId: page.id, time: this.scheduledTime(page), emailId: this.emailId(page) }));
+  }
+
+  // First upcoming slot that keeps the minimum gap and isn't back to back with a post
+  // from the same email. Posts are back to back when no slot between them is left
+  // empty, so concepts from one email end up at least every other slot
+  findFreeSlot(slots, occupied, emailId, now = Date.now()) {
+    for (let i = 1; i < slots.length; i++) {
+      const slot = slots[i];
+      if (slot <= now) continue;
+      if (occupied.some(entry => Math.abs(entry.time - slot) < this.minGapMs)) continue;
+
+      if (emailId) {
+        const before = occupied.filter(entry => entry.time < slot).sort((a, b) => b.time - a.time)[0];
+        const after = occupied.filter(entry => entry.time > slot).sort((a, b) => a.time - b.time)[0];
+        const previousSlot = slots[i - 1];
+        const nextSlot = i + 1 < slots.length ? slots[i + 1] : Infinity;
+
+        if (before && before.emailId === emailId && before.time >= previousSlot) continue;
+        if (after && after.emailId === emailId && after.time <= nextSlot) continue;
+      }
+
+      return slot;
+    }
+    return null;
+  }
+
+  // Give every unscheduled page a slot; returns the pages whose slot has come due
+  async assignSlots(pages, now = Date.now()) {
+    const unscheduled = pages
+      .filter(page => this.scheduledTime(page) === null)
+      .sort((a, b) => a.created_time.localeCompare(b.created_time));
+
+    if (unscheduled.length > 0) {
+      await this.checkSchema();
+      const slots = this.slotGrid(now);
+      const occupied = await this.findOccupiedSlots(Math.min(slots[0], now - this.minGapMs));
+
+      for (const page of unscheduled) {
+        const slot = this.findFreeSlot(slots, occupied, this.emailId(page), now);
+        if (slot === null) {
+          console.log(`⚠️ No free posting slot in the next ${LOOKAHEAD_DAYS} days for page ${page.id}`);
+          continue;
+        }
+
+        const start = new Date(slot).toISOString();
+        await this.notion.pages.update({
+          page_id: page.id,
+          properties: { [this.scheduledForProperty]: { date: { start } } }
+        });
+        page.properties[this.scheduledForProperty] = { type: 'date', date: { start } };
+        occupied.push({ pageId: page.id, time: slot, emailId: this.emailId(page) });
+        console.log(`📅 Scheduled page ${page.id} for ${start} (${this.timeZone})`);
+      }
+    }
+
+    return pages.filter(page => {
+      const time = this.scheduledTime(page);
+      return time !== null && time <= now;
+    });
+  }
+}
+
+PostScheduler.parseSchedule = parseSchedule;
+
+module.exports = PostScheduler;
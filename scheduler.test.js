@@ -0,0 +1,95 @@
+// Posting schedule: parsing PUBLISH_SCHEDULE, turning wall-clock slots into UTC across
+// DST changes, and picking a free slot that keeps the gap and spaces out one email's posts
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PostScheduler = require('./scheduler');
+
+const HOUR = 60 * 60 * 1000;
+
+function scheduler(options = {}) {
+  return new PostScheduler(null, { databaseId: 'db', timeZone: 'UTC', minGapMinutes: 60, ...options });
+}
+
+test('parses day ranges, lists and several rules', () => {
+  assert.deepStrictEqual(PostScheduler.parseSchedule('mon-wed 13:00,09:00; sat 10:00'), {
+    1: ['09:00', '13:00'], 2: ['09:00', '13:00'], 3: ['09:00', '13:00'], 6: ['10:00']
+  });
+  // Ranges wrap around the week and rules for the same day are merged
+  assert.deepStrictEqual(PostScheduler.parseSchedule('sat-mon 09:00; MON 09:00,18:00'), {
+    6: ['09:00'], 0: ['09:00'], 1: ['09:00', '18:00']
+  });
+});
+
+test('rejects malformed schedules', () => {
+  assert.throws(() => PostScheduler.parseSchedule('mon-fri'), /Invalid schedule rule/);
+  assert.throws(() => PostScheduler.parseSchedule('mon 9:00'), /Invalid time "9:00"/);
+  assert.throws(() => PostScheduler.parseSchedule('mon 24:00'), /Invalid time/);
+  assert.throws(() => PostScheduler.parseSchedule('funday 09:00'), /Invalid day "funday"/);
+});
+
+test('an unknown timezone fails in the constructor', () => {
+  assert.throws(() => scheduler({ timeZone: 'Mars/Olympus' }));
+});
+
+test('slots keep their wall-clock time across DST changes', () => {
+  const london = scheduler({ timeZone: 'Europe/London', schedule: 'mon-sun 09:00' });
+  // Clocks go forward on Sunday 29 March 2026
+  const slots = london.slotGrid(Date.parse('2026-03-27T12:00:00Z'));
+
+  assert.strictEqual(new Date(slots[0]).toISOString(), '2026-03-26T09:00:00.000Z');
+  assert.strictEqual(new Date(slots[2]).toISOString(), '2026-03-28T09:00:00.000Z');
+  assert.strictEqual(new Date(slots[3]).toISOString(), '2026-03-29T08:00:00.000Z');
+  assert.strictEqual(new Date(slots[4]).toISOString(), '2026-03-30T08:00:00.000Z');
+
+  const newYork = scheduler({ timeZone: 'America/New_York', schedule: 'sun 09:00' });
+  // Clocks go back on Sunday 1 November 2026
+  const [first, second] = newYork.slotGrid(Date.parse('2026-10-24T12:00:00Z'));
+  assert.strictEqual(new Date(first).toISOString(), '2026-10-25T13:00:00.000Z');
+  assert.strictEqual(new Date(second).toISOString(), '2026-11-01T14:00:00.000Z');
+});
+
+test('the grid starts the day before now and follows the weekly schedule', () => {
+  const weekdays = scheduler({ schedule: 'mon-fri 09:00' });
+  // Saturday: the grid starts on Friday and skips the weekend
+  const slots = weekdays.slotGrid(Date.parse('2026-03-07T12:00:00Z'));
+
+  assert.strictEqual(new Date(slots[0]).toISOString(), '2026-03-06T09:00:00.000Z');
+  assert.strictEqual(new Date(slots[1]).toISOString(), '2026-03-09T09:00:00.000Z');
+});
+
+test('finds the first upcoming slot that keeps the minimum gap', () => {
+  const daily = scheduler({ schedule: 'mon-sun 09:00,12:00,15:00', minGapMinutes: 120 });
+  const now = Date.parse('2026-03-02T10:00:00Z');
+  const slots = daily.slotGrid(now);
+  const at = iso => Date.parse(iso);
+
+  assert.strictEqual(daily.findFreeSlot(slots, [], null, now), at('2026-03-02T12:00:00Z'));
+  // Taken, and a post at 14:00 is too close to the 15:00 slot
+  const occupied = [{ time: at('2026-03-02T12:00:00Z') }, { time: at('2026-03-02T14:00:00Z') }];
+  assert.strictEqual(daily.findFreeSlot(slots, occupied, null, now), at('2026-03-03T09:00:00Z'));
+});
+
+test('posts from the same email are never in back-to-back slots', () => {
+  const daily = scheduler({ schedule: 'mon-sun 09:00,12:00,15:00' });
+  const now = Date.parse('2026-03-02T08:00:00Z');
+  const slots = daily.slotGrid(now);
+  const at = iso => Date.parse(iso);
+  const occupied = [{ time: at('2026-03-02T09:00:00Z'), emailId: 'email-a' }];
+
+  // 12:00 follows email-a's 09:00 post directly, so email-a gets 15:00 instead
+  assert.strictEqual(daily.findFreeSlot(slots, occupied, 'email-a', now), at('2026-03-02T15:00:00Z'));
+  assert.strictEqual(daily.findFreeSlot(slots, occupied, 'email-b', now), at('2026-03-02T12:00:00Z'));
+
+  // A slot right before a post from the same email is skipped too
+  const later = [{ time: at('2026-03-02T15:00:00Z'), emailId: 'email-a' }];
+  assert.strictEqual(daily.findFreeSlot(slots, later, 'email-a', now), at('2026-03-02T09:00:00Z'));
+});
+
+test('returns null when every slot in the lookahead is taken', () => {
+  const daily = scheduler({ schedule: 'mon-sun 09:00' });
+  const now = Date.parse('2026-03-02T08:00:00Z');
+  const slots = daily.slotGrid(now);
+
+  assert.strictEqual(daily.findFreeSlot(slots, slots.map(time => ({ time })), null, now), null);
+});
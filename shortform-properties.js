@@ -0,0 +1,247 @@
+// Shortform Database Properties
+// Writes concept metadata (strategy, template, post count, longest post, quality,
+// status, model, generation mode, version, the earlier page a concept repeats) into
+// Shortform database properties so pages can be filtered, sorted and grouped. Property
+// names come from a mapping; anything the database doesn't have (or has with an unusable
+// type) is skipped. Also tracks which generation (v1, v2, ...) a page belongs to and
+// marks older generations superseded
+
+const { normalizeId, pageTitle, selectName } = require('./notion-content');
+const { richText, paragraph } = require('./notion-blocks');
+
+// Metadata field -> default property name. Override with SHORTFORM_PROPERTY_MAP, e.g.
+// '{"strategy":"Angle","qualityScore":null}' (null or "" leaves a field out)
+const DEFAULT_PROPERTY_MAP = {
+  strategy: 'Strategy',
+  template: 'Template',
+  postCount: 'Post count',
+  maxLength: 'Max length',
+  qualityScore: 'Quality score',
+  status: 'Status',
+  model: 'Model',
+  generationMode: 'Generation mode',
+  version: 'Version',
+  similarTo: 'Similar to'
+};
+
+// Returns { map, errors }. A malformed override is reported in errors and the defaults
+// are used in its place, so a typo doesn't stop the server from starting
+function loadPropertyMap(env = process.env) {
+  const errors = [];
+  let overrides = {};
+
+  if (env.SHORTFORM_PROPERTY_MAP) {
+    try {
+      overrides = JSON.parse(env.SHORTFORM_PROPERTY_MAP);
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        errors.push('SHORTFORM_PROPERTY_MAP must be a JSON object');
+        overrides = {};
+      }
+    } catch (error) {
+      errors.push(`SHORTFORM_PROPERTY_MAP is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const map = { ...DEFAULT_PROPERTY_MAP };
+  for (const [field, name] of Object.entries(overrides)) {
+    if (!(field in DEFAULT_PROPERTY_MAP)) {
+      errors.push(`SHORTFORM_PROPERTY_MAP: unknown field "${field}" (use ${Object.keys(DEFAULT_PROPERTY_MAP).join(', ')})`);
+    } else if (name !== null && typeof name !== 'string') {
+      errors.push(`SHORTFORM_PROPERTY_MAP: "${field}" must be a property name, null or ""`);
+    } else {
+      map[field] = name;
+    }
+  }
+
+  for (const field of Object.keys(map)) {
+    if (!map[field]) delete map[field];
+  }
+  return { map, errors };
+}
+
+// Select option names can't contain commas and are capped at 100 characters
+function optionName(value) {
+  return String(value).replace(/,/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 100);
+}
+
+class ShortformProperties {
+  constructor(notionClient, options = {}) {
+    this.notion = notionClient;
+    this.databaseId = options.databaseId || process.env.SHORTFORM_DATABASE_ID;
+    const loaded = options.propertyMap ? { map: options.propertyMap, errors: [] } : loadPropertyMap();
+    this.propertyMap = loaded.map;
+    // Problems with SHORTFORM_PROPERTY_MAP (reported by /diagnostics; defaults used instead)
+    this.configErrors = loaded.errors;
+    this.initialStatus = options.initialStatus || process.env.SHORTFORM_INITIAL_STATUS || 'Draft';
+    this.supersededStatus = options.supersededStatus || process.env.SHORTFORM_SUPERSEDED_STATUS || 'Superseded';
+    this.publishedStatus = options.publishedStatus || process.env.PUBLISH_PUBLISHED_VALUE || 'Published';
+    // How regeneration retires the previous set: "mark" (status + note) or "archive"
+    this.previousMode = options.previousMode || process.env.REGENERATE_PREVIOUS || 'mark';
+
+    this.schema = null;
+    this.reported = new Set();
+  }
+
+  // --- Database schema ---
+
+  async getSchema() {
+    if (!this.schema) {
+      const database = await this.notion.databases.retrieve({ database_id: this.databaseId });
+      this.schema = database.properties;
+    }
+    return this.schema;
+  }
+
+  // Log a skipped property once per process rather than once per page
+  skip(name, reason) {
+    const key = `${name}:${reason}`;
+    if (!this.reported.has(key)) {
+      this.reported.add(key);
+      console.log(`ℹ️ Shortform property "${name}" skipped: ${reason}`);
+    }
+    return null;
+  }
+
+  // --- Values ---
+
+  // Metadata for one concept, keyed by field
+  conceptValues(concept, { generation = {}, version = 1, status = this.initialStatus }, profile) {
+    const posts = concept.mainContent.posts;
+    return {
+      strategy: concept.strategy,
+      template: concept.template,
+      postCount: posts.length,
+      maxLength: Math.max(...posts.map(post => profile.measure(post))),
+      qualityScore: concept.qualityScore,
+      status,
+      model: generation.model,
+      generationMode: generation.mode,
+      version,
+      similarTo: concept.similarTo && !concept.similarTo.rewritten ? concept.similarTo.pageId : null
+    };
+  }
+
+  // Property value for the property's type, or null when it can't hold the value
+  propertyValue(name, property, value) {
+    switch (property.type) {
+      case 'rich_text':
+        return { rich_text: richText(String(value)) };
+      case 'select':
+        return { select: { name: optionName(value) } };
+      case 'multi_select':
+        return { multi_select: [{ name: optionName(value) }] };
+      case 'status': {
+        // Status options can only be created in the Notion UI
+        const exists = property.status.options.some(option => option.name === value);
+        return exists ? { status: { name: value } } : this.skip(name, `status option "${value}" does not exist`);
+      }
+      case 'number':
+        return Number.isFinite(Number(value)) && value !== ''
+          ? { number: Number(value) }
+          : this.skip(name, `"${value}" is not a number`);
+      case 'relation': {
+        // Only page links within the Shortform database itself are written
+        return normalizeId(property.relation.database_id) === normalizeId(this.databaseId)
+          ? { relation: [{ id: String(value) }] }
+          : this.skip(name, 'relation does not point to the Shortform database');
+      }
+      default:
+        return this.skip(name, `type ${property.type} is not supported`);
+    }
+  }
+
+  // Database properties for values keyed by property name. Properties the database
+  // doesn't have, or that can't hold their value, are left out (so pages.create never
+  // fails over an optional property)
+  async forValues(values) {
+    let schema;
+    try {
+      schema = await this.getSchema();
+    } catch (error) {
+      console.error('⚠️ Could not read the Shortform database schema - skipping optional properties:', error.message);
+      return {};
+    }
+
+    const properties = {};
+
+    for (const [name, value] of Object.entries(values)) {
+      if (!name || value === undefined || value === null || value === '') continue;
+
+      const property = schema[name];
+      if (!property) {
+        this.skip(name, 'not in the database');
+        continue;
+      }
+
+      const propertyValue = this.propertyValue(name, property, value);
+      if (propertyValue) properties[name] = propertyValue;
+    }
+
+    return properties;
+  }
+
+  // Database properties for one concept page. context is { generation: { mode, model },
+  // version, status } (status null leaves the page's status alone)
+  async forConcept(concept, context, profile) {
+    const values = this.conceptValues(concept, context, profile);
+    const byName = {};
+    for (const [field, name] of Object.entries(this.propertyMap)) {
+      byName[name] = values[field];
+    }
+    return this.forValues(byName);
+  }
+
+  // --- Versions (regeneration) ---
+
+  // Generation a page belongs to: the version property, else the "(vN)" title suffix, else 1
+  pageVersion(page) {
+    const property = this.propertyMap.version ? page.properties[this.propertyMap.version] : null;
+    if (property && property.type === 'number' && property.number > 0) {
+      return property.number;
+    }
+    const match = pageTitle(page).match(/\(v(\d+)\)$/);
+    return match ? parseInt(match[1], 10) : 1;
+  }
+
+  // Retire a page from an earlier generation: archived, or given the superseded status
+  // plus a note pointing at the new version. Published pages are only given the note.
+  // Only the previous generation is retired; older ones were when it was created (their
+  // status may not show it - published pages and databases without a status property)
+  async supersede(page, newVersion) {
+    if (this.pageVersion(page) < newVersion - 1) {
+      return 'already superseded';
+    }
+
+    const statusName = this.propertyMap.status;
+    const current = statusName ? page.properties[statusName] : null;
+    const currentValue = selectName(current);
+    if (currentValue === this.supersededStatus) {
+      return 'already superseded';
+    }
+    const published = currentValue === this.publishedStatus;
+
+    if (this.previousMode === 'archive' && !published) {
+      await this.notion.pages.update({ page_id: page.id, archived: true });
+      return 'archived';
+    }
+
+    if (current && !published) {
+      const schema = await this.getSchema();
+      const value = this.propertyValue(statusName, schema[statusName], this.supersededStatus);
+      if (value) {
+        await this.notion.pages.update({ page_id: page.id, properties: { [statusName]: value } });
+      }
+    }
+
+    await this.notion.blocks.children.append({
+      block_id: page.id,
+      children: [paragraph(`Superseded by v${newVersion} (${new Date().toISOString()})`, { color: 'orange', italic: true })]
+    });
+    return published ? 'kept (published)' : 'marked';
+  }
+}
+
+ShortformProperties.DEFAULT_PROPERTY_MAP = DEFAULT_PROPERTY_MAP;
+ShortformProperties.loadPropertyMap = loadPropertyMap;
+
+module.exports = ShortformProperties;
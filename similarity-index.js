@@ -0,0 +1,266 @@
+// Repeat Detection Across Emails
+// A local index of recent Shortform concepts (hook = first sentence of the first post,
+// angle = concept + aha moment) built from the Shortform database and kept in DATA_DIR.
+// New concepts are compared against concepts from other emails created in the last
+// SIMILARITY_LOOKBACK_WEEKS weeks: word-bigram overlap of the hooks, content-word overlap
+// of the angles (Jaccard), and the same three-word opening ("Most people think...")
+
+const { dataPath, readJson, writeJson } = require('./json-store');
+const { normalizeId, listAllChildren, pageTitle, queryAll, selectName } = require('./notion-content');
+const { readConceptBlocks } = require('./concept-page');
+const { firstSentence } = require('./tweet-schema');
+const { words, wordSet, bigrams, jaccard } = require('./text-similarity');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const RECORD_GRACE_MS = 24 * 60 * 60 * 1000;
+const REREAD_MS = 24 * 60 * 60 * 1000;
+const OPENING_WORDS = 3;
+
+// The parts of a concept that get compared
+function conceptText(concept) {
+  return {
+    hook: firstSentence(concept.mainContent.posts[0]),
+    angle: `${concept.concept} ${concept.ahamoment}`.trim()
+  };
+}
+
+function features({ hook, angle }) {
+  const hookWords = words(hook);
+  return {
+    hook: bigrams(hookWords),
+    opening: hookWords.length > OPENING_WORDS ? hookWords.slice(0, OPENING_WORDS).join(' ') : null,
+    angle: wordSet(angle)
+  };
+}
+
+class SimilarityIndex {
+  constructor(notionClient, options = {}) {
+    this.notion = notionClient;
+    this.databaseId = options.databaseId || process.env.SHORTFORM_DATABASE_ID;
+    this.filePath = options.filePath || dataPath('similarity-index.json');
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.SIMILARITY_CHECK !== 'false';
+    this.lookbackWeeks = options.lookbackWeeks || parseInt(process.env.SIMILARITY_LOOKBACK_WEEKS || '8', 10);
+    this.hookThreshold = options.hookThreshold || parseFloat(process.env.SIMILARITY_HOOK_THRESHOLD || '0.5');
+    this.angleThreshold = options.angleThreshold || parseFloat(process.env.SIMILARITY_ANGLE_THRESHOLD || '0.4');
+    this.matchOpenings = options.matchOpenings !== undefined ? options.matchOpenings : process.env.SIMILARITY_MATCH_OPENINGS !== 'false';
+    // What happens to a repeated concept: "flag" (note + link on its page) or "regenerate"
+    // (one rewrite, flagged if it still repeats)
+    this.action = options.action || process.env.SIMILARITY_ACTION || 'flag';
+    // "all" compares against every recent concept, "published" only against published ones
+    this.scope = options.scope || process.env.SIMILARITY_SCOPE || 'all';
+    this.statusProperty = options.statusProperty || process.env.PUBLISH_STATUS_PROPERTY || 'Status';
+    this.publishedValue = options.publishedValue || process.env.PUBLISH_PUBLISHED_VALUE || 'Published';
+    this.supersededValue = options.supersededValue || process.env.SHORTFORM_SUPERSEDED_STATUS || 'Superseded';
+
+    // pageId -> { pageId, emailId, title, createdTime, lastEditedTime, readAt, status, hook, angle }
+    this.entries = new Map();
+    // This integration's Notion user id (undefined until looked up)
+    this.integrationId = undefined;
+    this.load();
+  }
+
+  // --- Persistence ---
+
+  load() {
+    const stored = readJson(this.filePath, null, 'similarity index');
+    if (!stored) return;
+    for (const entry of stored.entries || []) {
+      this.entries.set(entry.pageId, entry);
+    }
+    console.log(`🔁 Loaded ${this.entries.size} indexed concept(s) from ${this.filePath}`);
+  }
+
+  save() {
+    writeJson(this.filePath, { entries: Array.from(this.entries.values()) }, 'similarity index');
+  }
+
+  since() {
+    return new Date(Date.now() - this.lookbackWeeks * WEEK_MS).toISOString();
+  }
+
+  // --- Building the index ---
+
+  async integrationUserId() {
+    if (this.integrationId === undefined) {
+      try {
+        this.integrationId = (await this.notion.users.me({})).id;
+      } catch (error) {
+        console.error('⚠️ Could not look up the integration user - every edited page will be re-read:', error.message);
+        return null;
+      }
+    }
+    return this.integrationId;
+  }
+
+  // Bring the index in line with the Shortform database: pages created in the lookback
+  // window are added, pages edited since they were indexed are re-read, and pages that
+  // are gone (deleted, superseded, out of the window) are dropped. If Notion can't be
+  // reached the stored index is used as it is.
+  // Property writes (status, schedule, metadata) also move a page's edit time, and Notion
+  // can't tell them from body edits. Pages this integration edited last are assumed to
+  // have had properties written and are re-read at most once a day (its own body rewrites
+  // update the index through refresh()); pages a person edited are re-read right away
+  async sync() {
+    const since = this.since();
+    let pages;
+
+    try {
+      pages = await queryAll(this.notion, {
+        database_id: this.databaseId,
+        filter: { timestamp: 'created_time', created_time: { on_or_after: since } }
+      });
+    } catch (error) {
+      console.error('⚠️ Could not list recent Shortform pages - using the stored similarity index:', error.message);
+      return;
+    }
+
+    const integrationId = await this.integrationUserId();
+    const current = new Map();
+    let read = 0;
+
+    for (const page of pages) {
+      const status = selectName(page.properties[this.statusProperty]);
+      if (status === this.supersededValue) continue;
+
+      const relation = page.properties['E-mails'];
+      const emailId = relation && relation.relation && relation.relation[0] ? relation.relation[0].id : null;
+      const known = this.entries.get(page.id);
+
+      // Entries recorded when the page was written have no edit time yet; they are current
+      if (known && (known.lastEditedTime === null || known.lastEditedTime === page.last_edited_time)) {
+        current.set(page.id, { ...known, emailId, status, lastEditedTime: page.last_edited_time });
+        continue;
+      }
+      // The stored edit time is kept, so the page is still re-read once the day is up
+      const editedByIntegration = integrationId && page.last_edited_by && page.last_edited_by.id === integrationId;
+      if (known && editedByIntegration && Date.now() - Date.parse(known.readAt) < REREAD_MS) {
+        current.set(page.id, { ...known, emailId, status });
+        continue;
+      }
+
+      try {
+        const { concept } = readConceptBlocks(await listAllChildren(this.notion, page.id));
+        if (concept.mainContent.posts.length === 0) continue;
+
+        current.set(page.id, {
+          pageId: page.id,
+          emailId,
+          title: pageTitle(page),
+          createdTime: page.created_time,
+          lastEditedTime: page.last_edited_time,
+          readAt: new Date().toISOString(),
+          status,
+          ...conceptText(concept)
+        });
+        read++;
+      } catch (error) {
+        console.error(`⚠️ Could not read Shortform page ${page.id} for the similarity index:`, error.message);
+        if (known) current.set(page.id, known);
+      }
+    }
+
+    // The query can lag behind freshly created pages, so recorded pages it doesn't list
+    // yet are kept for a day before they count as gone
+    const recent = new Date(Date.now() - RECORD_GRACE_MS).toISOString();
+    for (const entry of this.entries.values()) {
+      if (!current.has(entry.pageId) && entry.lastEditedTime === null && entry.createdTime >= recent) {
+        current.set(entry.pageId, entry);
+      }
+    }
+
+    this.entries = current;
+    this.save();
+    console.log(`🔁 Similarity index: ${current.size} concept(s) from the last ${this.lookbackWeeks} weeks (${read} read from Notion)`);
+  }
+
+  // Add a page this service just created, so the next run can compare against it
+  record({ pageId, emailId, title, createdTime }, concept) {
+    this.entries.set(pageId, {
+      pageId,
+      emailId,
+      title,
+      createdTime: createdTime || new Date().toISOString(),
+      lastEditedTime: null,
+      readAt: new Date().toISOString(),
+      status: null,
+      ...conceptText(concept)
+    });
+    this.save();
+  }
+
+  // Re-index a page whose body this service rewrote (comment refinement)
+  refresh(pageId, concept) {
+    const entry = Array.from(this.entries.values()).find(item => normalizeId(item.pageId) === normalizeId(pageId));
+    if (!entry) return;
+    this.entries.set(entry.pageId, { ...entry, readAt: new Date().toISOString(), ...conceptText(concept) });
+    this.save();
+  }
+
+  // Indexed concepts a new concept for this email is compared against
+  async history(emailPageId) {
+    if (!this.enabled) return [];
+    await this.sync();
+
+    const since = this.since();
+    return Array.from(this.entries.values()).filter(entry =>
+      normalizeId(entry.emailId) !== normalizeId(emailPageId) &&
+      entry.createdTime >= since &&
+      (this.scope !== 'published' || entry.status === this.publishedValue)
+    );
+  }
+
+  // --- Matching ---
+
+  // Closest earlier concept that this one repeats, or null. Returns the entry plus kind
+  // ("opening", "hook" or "angle"), score (0-1) and, for openings, the shared words
+  findMatch(concept, history) {
+    const candidate = features(conceptText(concept));
+    let best = null;
+
+    for (const entry of history) {
+      const earlier = features(entry);
+      const matches = [
+        { kind: 'hook', score: jaccard(candidate.hook, earlier.hook), threshold: this.hookThreshold },
+        { kind: 'angle', score: jaccard(candidate.angle, earlier.angle), threshold: this.angleThreshold }
+      ].filter(match => match.score >= match.threshold);
+
+      if (this.matchOpenings && candidate.opening && candidate.opening === earlier.opening) {
+        matches.push({ kind: 'opening', score: 1, phrase: candidate.opening });
+      }
+
+      for (const match of matches) {
+        // Rank by how far past its threshold a match is, so hook and angle scores compare
+        const strength = match.score - (match.threshold || 0);
+        if (!best || strength > best.strength) {
+          best = { ...match, strength, entry };
+        }
+      }
+    }
+
+    if (!best) return null;
+    return {
+      pageId: best.entry.pageId,
+      title: best.entry.title,
+      createdTime: best.entry.createdTime,
+      hook: best.entry.hook,
+      angle: best.entry.angle,
+      kind: best.kind,
+      score: Math.round(best.score * 100) / 100,
+      phrase: best.phrase || null
+    };
+  }
+
+  findMatches(concepts, history) {
+    return concepts.map(concept => (history.length > 0 ? this.findMatch(concept, history) : null));
+  }
+}
+
+// Short description of a match for logs and pages, e.g. 'hook 72% similar'
+function describeMatch(match) {
+  if (match.kind === 'opening') return `same opening ("${match.phrase}...")`;
+  return `${match.kind} ${Math.round(match.score * 100)}% similar`;
+}
+
+SimilarityIndex.describeMatch = describeMatch;
+
+module.exports = SimilarityIndex;
@@ -0,0 +1,111 @@
+// Structured Model Output
+// Every generation pass gets its result as a forced tool call whose input schema is the
+// pass's output schema, so the SDK hands back a parsed object instead of text to dig
+// JSON out of. The regex extraction below only runs if a reply comes back as plain text
+
+const { recordUsage } = require('./usage-tracker');
+const { messageParams } = require('./pass-config');
+
+// Legacy JSON extraction from free-text responses (fallback only)
+function extractJSON(text) {
+  try {
+    // Try parsing directly first
+    return JSON.parse(text);
+  } catch (e) {
+    console.log('🔍 Direct JSON parse failed, trying extraction methods...');
+
+    try {
+      // Method 1: Extract from ```json blocks
+      const jsonBlockMatch = text.match(/```json\s*([\s\S]*?)\s*```/);
+      if (jsonBlockMatch) {
+        console.log('✅ Found JSON in code block');
+        return JSON.parse(jsonBlockMatch[1]);
+      }
+
+      // Method 2: Extract from ```javascript blocks
+      const jsBlockMatch = text.match(/```javascript\s*([\s\S]*?)\s*```/);
+      if (jsBlockMatch) {
+        console.log('✅ Found JSON in JS code block');
+        return JSON.parse(jsBlockMatch[1]);
+      }
+
+      // Method 3: Find JSON object in text
+      const objectMatch = text.match(/\{[\s\S]*\}/);
+      if (objectMatch) {
+        console.log('✅ Found JSON object in text');
+        return JSON.parse(objectMatch[0]);
+      }
+
+      // Method 4: Look for response after "Response:" or similar
+      const responseMatch = text.match(/(?:Response|Result|Output):\s*(\{[\s\S]*\})/i);
+      if (responseMatch) {
+        console.log('✅ Found JSON after response indicator');
+        return JSON.parse(responseMatch[1]);
+      }
+
+      throw new Error('No valid JSON found in response');
+    } catch (parseError) {
+      console.error('❌ All JSON extraction methods failed');
+      console.error('Raw response:', text.substring(0, 200) + '...');
+      throw new Error(`JSON extraction failed: ${parseError.message}`);
+    }
+  }
+}
+
+// Ask the model to answer through the given tool. Returns { data, response, toolUse, parseError };
+// toolUse is null when the reply was text and data came from the legacy extraction
+// (data is null and parseError set if that failed too). settings are the pass's model
+// settings (see pass-config.js); token usage is recorded under their label
+async function requestStructured(anthropic, { messages, tool, settings }) {
+  const response = await anthropic.messages.create({
+    ...messageParams(settings, messages),
+    tools: [tool],
+    tool_choice: { type: 'tool', name: tool.name }
+  });
+  recordUsage(settings.label || tool.name, response);
+
+  const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === tool.name);
+  if (toolUse) {
+    return { data: toolUse.input, response, toolUse, parseError: null };
+  }
+
+  const text = response.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+  console.log(`⚠️ No ${tool.name} tool call in the response, falling back to JSON extraction`);
+  try {
+    return { data: extractJSON(text), response, toolUse: null, parseError: null };
+  } catch (error) {
+    return { data: null, response, toolUse: null, parseError: error.message };
+  }
+}
+
+// Messages that hand a rejected result back to the model with what was wrong with it
+function repairMessages(result, feedback) {
+  if (result.toolUse) {
+    return [
+      { role: 'assistant', content: result.response.content },
+      {
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: result.toolUse.id, is_error: true, content: feedback }]
+      }
+    ];
+  }
+
+  const text = result.response.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n')
+    .trim();
+  return [
+    { role: 'assistant', content: text || '(empty response)' },
+    { role: 'user', content: feedback }
+  ];
+}
+
+module.exports = {
+  extractJSON,
+  requestStructured,
+  repairMessages
+};
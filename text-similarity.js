@@ -0,0 +1,54 @@
+// Text Similarity
+// Word-level helpers for spotting near-duplicate text: merging the same insight found
+// in several email sections (content-chunker) and catching hooks and angles repeated
+// across emails (similarity-index)
+
+// Left out of content-word sets so shared filler words don't count as shared meaning
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'how',
+  'i', 'if', 'in', 'is', 'it', 'its', "it's", 'just', 'more', 'most', 'not', 'of', 'on', 'or',
+  'so', 'than', 'that', 'the', 'their', 'they', 'this', 'to', 'was', 'we', 'what', 'when',
+  'why', 'with', 'you', 'your', "you're"
+]);
+
+// Lowercased words in order (links left out, curly apostrophes straightened)
+function words(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[‘’]/g, "'")
+    .match(/[\p{L}\p{N}']+/gu) || [];
+}
+
+// Set of the text's words without stopwords
+function wordSet(text) {
+  return new Set(words(text).filter(word => !STOPWORDS.has(word)));
+}
+
+// Set of adjacent word pairs (a single word is its own set)
+function bigrams(tokens) {
+  if (tokens.length < 2) return new Set(tokens);
+  const grams = new Set();
+  for (let i = 0; i < tokens.length - 1; i++) {
+    grams.add(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+  return grams;
+}
+
+// Jaccard similarity of two sets (0 when either is empty)
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+module.exports = {
+  STOPWORDS,
+  words,
+  wordSet,
+  bigrams,
+  jaccard
+};
@@ -0,0 +1,101 @@
+// Thread Splitting
+// Breaks an over-limit post into several thread posts at natural boundaries:
+// sentences first, then clauses, then words. Splits only ever happen on whitespace,
+// so links, hashtags, mentions and emoji are never cut in half
+
+const { weightedLength } = require('./character-counter');
+
+// Boundaries tried in order; each keeps the punctuation with the text before it
+const SPLIT_PATTERNS = [
+  /((?<=[.!?…]["')\]]?)\s+)/,  // sentence ends
+  /((?<=[,;:—–])\s+|\s+(?=[—–-]\s))/,  // clauses
+  /(\s+)/  // words
+];
+
+// Room reserved for a " 12/12" numbering suffix
+const NUMBERING_RESERVE = 6;
+
+// Split text into units that keep their trailing whitespace, e.g. ["One. ", "Two."]
+function splitUnits(text, pattern) {
+  const parts = text.split(pattern);
+  const units = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    const unit = parts[i] + (parts[i + 1] || '');
+    if (unit) units.push(unit);
+  }
+  return units;
+}
+
+// Greedily pack units into chunks within the limit, descending to finer
+// boundaries only for units that cannot fit on their own. Returns null if impossible
+function pack(text, limit, level, measure) {
+  if (measure(text.trim()) <= limit) {
+    return [text.trim()];
+  }
+  if (level >= SPLIT_PATTERNS.length) {
+    return null;
+  }
+
+  const chunks = [];
+  let current = '';
+
+  for (const unit of splitUnits(text, SPLIT_PATTERNS[level])) {
+    if (measure((current + unit).trim()) <= limit) {
+      current += unit;
+      continue;
+    }
+
+    if (current.trim()) {
+      chunks.push(current.trim());
+    }
+    current = '';
+
+    if (measure(unit.trim()) <= limit) {
+      current = unit;
+      continue;
+    }
+
+    const pieces = pack(unit, limit, level + 1, measure);
+    if (!pieces) {
+      return null;
+    }
+    chunks.push(...pieces.slice(0, -1));
+    current = pieces[pieces.length - 1] + ' ';
+  }
+
+  if (current.trim()) {
+    chunks.push(current.trim());
+  }
+  return chunks;
+}
+
+// Split a post into thread posts that each fit the limit.
+// Returns null when the post cannot be split cleanly (a single unbreakable token
+// over the limit, or more than maxParts posts would be needed).
+// options.measure counts characters; X's weighted length by default
+function splitPost(text, limit, options = {}) {
+  const maxParts = options.maxParts || parseInt(process.env.THREAD_MAX_SPLIT_PARTS || '3', 10);
+  const measure = options.measure || weightedLength;
+  const parts = pack(text, limit, 0, measure);
+
+  if (!parts || parts.length > maxParts) {
+    return null;
+  }
+  return parts;
+}
+
+// Append "1/n" style numbering to every post in a thread
+function numberThread(posts) {
+  return posts.map((post, i) => `${post} ${i + 1}/${posts.length}`);
+}
+
+function isNumberingEnabled(env = process.env) {
+  return env.THREAD_NUMBERING === 'true';
+}
+
+module.exports = {
+  NUMBERING_RESERVE,
+  splitPost,
+  numberThread,
+  isNumberingEnabled
+};
@@ -0,0 +1,64 @@
+// Splitting over-limit posts into thread posts: sentence, then clause, then word
+// boundaries, links kept whole, the part cap, and room for the " n/N" numbering
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { NUMBERING_RESERVE, splitPost, numberThread, isNumberingEnabled } = require('./thread-splitter');
+const { weightedLength } = require('./character-counter');
+
+const length = text => text.length;
+
+test('a post within the limit is returned as it is', () => {
+  assert.deepStrictEqual(splitPost('  Short post.  ', 280), ['Short post.']);
+});
+
+test('splits at sentence ends first', () => {
+  const parts = splitPost('First sentence here. Second sentence here. Third one.', 25, { measure: length });
+  assert.deepStrictEqual(parts, ['First sentence here.', 'Second sentence here.', 'Third one.']);
+});
+
+test('packs several sentences into one part when they fit', () => {
+  const parts = splitPost('One. Two. Three. Four.', 10, { measure: length });
+  assert.deepStrictEqual(parts, ['One. Two.', 'Three.', 'Four.']);
+});
+
+test('falls back to clauses, then words, for a long sentence', () => {
+  const clauses = splitPost('Systems beat goals, habits beat willpower, and time beats talent.', 30, { measure: length });
+  assert.deepStrictEqual(clauses, ['Systems beat goals,', 'habits beat willpower,', 'and time beats talent.']);
+
+  const words = splitPost('alpha beta gamma delta epsilon zeta', 12, { measure: length });
+  assert.ok(words.every(part => part.length <= 12));
+  assert.strictEqual(words.join(' '), 'alpha beta gamma delta epsilon zeta');
+});
+
+test('never cuts a link, and measures it as X does', () => {
+  const post = `${'word '.repeat(50)}Read more at https://example.com/${'x'.repeat(300)} today.`;
+  const parts = splitPost(post, 280);
+
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every(part => weightedLength(part) <= 280));
+  assert.ok(parts.some(part => part.includes(`https://example.com/${'x'.repeat(300)}`)));
+});
+
+test('gives up on unbreakable tokens and on too many parts', () => {
+  assert.strictEqual(splitPost('x'.repeat(50), 20, { measure: length }), null);
+  assert.strictEqual(splitPost('One. Two. Three. Four.', 6, { measure: length, maxParts: 3 }), null);
+  assert.strictEqual(splitPost('One. Two. Three. Four.', 6, { measure: length, maxParts: 4 }).length, 4);
+});
+
+test('parts split with the numbering reserve still fit once numbered', () => {
+  const limit = 40;
+  const text = 'A fairly long opening sentence. Another sentence that follows it. And a closing one.';
+  const numbered = numberThread(splitPost(text, limit - NUMBERING_RESERVE, { measure: length }));
+
+  assert.ok(numbered.length > 1);
+  numbered.forEach((post, i) => {
+    assert.ok(post.endsWith(` ${i + 1}/${numbered.length}`));
+    assert.ok(post.length <= limit);
+  });
+});
+
+test('numbering is off unless THREAD_NUMBERING is true', () => {
+  assert.strictEqual(isNumberingEnabled({}), false);
+  assert.strictEqual(isNumberingEnabled({ THREAD_NUMBERING: 'true' }), true);
+});
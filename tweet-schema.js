@@ -0,0 +1,239 @@
+// Shared Output Schemas
+// One definition of each generation pass's output: the tool input schemas the model
+// answers through, the tweetConcepts validator run on each response and the defaults
+// for optional fields
+
+const { RUBRIC_CRITERIA } = require('./quality-rubric');
+
+// JSON Schema of the output (also suitable as a tool input schema). Only concept,
+// mainContent.posts and cta are required; the rest get defaults derived from the content
+const TWEET_CONCEPTS_SCHEMA = {
+  type: 'object',
+  required: ['tweetConcepts'],
+  properties: {
+    tweetConcepts: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['concept', 'mainContent', 'cta'],
+        properties: {
+          number: { type: 'integer', minimum: 1, description: 'Concept number, starting at 1' },
+          title: { type: 'string', description: 'Short title for the concept (under 60 characters)' },
+          concept: { type: 'string', description: 'One-sentence description of the concept' },
+          strategy: { type: 'string', description: 'Content strategy / template used' },
+          template: { type: 'string', description: 'Thread starter template, e.g. Transformation Story, System Breakdown, Results-First Hook, Contrarian Take, Experience Share' },
+          ahamoment: { type: 'string', description: 'The single aha moment the reader should take away' },
+          mainContent: {
+            type: 'object',
+            required: ['posts'],
+            properties: {
+              posts: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+              characterCounts: { type: 'array', items: { type: 'string' } }
+            }
+          },
+          cta: { type: 'string', minLength: 1, description: 'Call to action post, ending with the link' },
+          qualityValidation: { type: 'string', description: 'Short self-check of the concept against the quality criteria' },
+          sourceSection: { type: 'string', description: 'Id of the email section the concept comes from (e.g. S2), when sections are given' }
+        }
+      }
+    }
+  }
+};
+
+// PASS 1 output
+const CONTENT_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['contentType', 'coreTheme', 'keyInsights', 'audienceLevel', 'emotionalTone', 'recommendedTemplates'],
+  properties: {
+    contentType: { type: 'string', description: 'Educational, Story, Framework, Case Study or Contrarian Take' },
+    coreTheme: { type: 'string', description: 'The main message of the email' },
+    keyInsights: { type: 'array', items: { type: 'string' }, description: '3-5 standout insights worth posting' },
+    audienceLevel: { type: 'string', description: 'Beginner, Intermediate or Advanced' },
+    emotionalTone: { type: 'string', description: 'Practical, Inspirational, Contrarian or Analytical' },
+    recommendedTemplates: { type: 'array', items: { type: 'string' }, description: 'Best thread starter templates' },
+    complexityNotes: { type: 'string' }
+  }
+};
+
+// PASS 3 output: rubric scores and feedback, one entry per concept in order
+const QUALITY_ASSESSMENT_SCHEMA = {
+  type: 'object',
+  required: ['concepts'],
+  properties: {
+    concepts: {
+      type: 'array',
+      description: 'One entry per concept, in order',
+      items: {
+        type: 'object',
+        required: ['number', 'scores'],
+        properties: {
+          number: { type: 'integer', description: 'The number of the concept being scored' },
+          scores: {
+            type: 'object',
+            required: RUBRIC_CRITERIA.map(criterion => criterion.key),
+            properties: Object.fromEntries(RUBRIC_CRITERIA.map(criterion => [
+              criterion.key,
+              { type: 'integer', minimum: 1, maximum: 10, description: `${criterion.label}: ${criterion.description}` }
+            ]))
+          },
+          strengths: { type: 'array', items: { type: 'string' } },
+          weaknesses: { type: 'array', items: { type: 'string' } },
+          improvements: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    globalIssues: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+// Map step for long emails: insights from one section
+const SECTION_INSIGHTS_SCHEMA = {
+  type: 'object',
+  required: ['insights'],
+  properties: {
+    insights: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['insight', 'strength'],
+        properties: {
+          insight: { type: 'string', description: 'One standalone insight worth posting about' },
+          evidence: { type: 'string', description: 'The concrete detail, example or number from the section that backs it' },
+          strength: { type: 'integer', minimum: 1, maximum: 10, description: 'How strong a post it would make (10 = best)' },
+          links: { type: 'array', items: { type: 'string' }, description: 'Exact URLs from the section that relate to it' }
+        }
+      }
+    }
+  }
+};
+
+// Tools the passes answer through (see structured-output.js)
+const OUTPUT_TOOLS = {
+  analysis: {
+    name: 'submit_content_analysis',
+    description: 'Submit the analysis of the email content.',
+    input_schema: CONTENT_ANALYSIS_SCHEMA
+  },
+  sectionInsights: {
+    name: 'submit_section_insights',
+    description: 'Submit the insights found in one section of the email.',
+    input_schema: SECTION_INSIGHTS_SCHEMA
+  },
+  assessment: {
+    name: 'submit_quality_assessment',
+    description: 'Submit the quality assessment of the drafted posts.',
+    input_schema: QUALITY_ASSESSMENT_SCHEMA
+  },
+  tweetConcepts: {
+    name: 'submit_tweet_concepts',
+    description: 'Submit the generated post concepts.',
+    input_schema: TWEET_CONCEPTS_SCHEMA
+  }
+};
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// List of human-readable problems (empty when the data is usable)
+function validateTweetConcepts(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Response must be a JSON object with a "tweetConcepts" array'];
+  }
+  if (!Array.isArray(data.tweetConcepts)) {
+    return ['"tweetConcepts" must be an array'];
+  }
+  if (data.tweetConcepts.length === 0) {
+    return ['"tweetConcepts" must contain at least one concept'];
+  }
+
+  data.tweetConcepts.forEach((concept, i) => {
+    const at = `tweetConcepts[${i}]`;
+
+    if (!concept || typeof concept !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(concept.concept)) {
+      errors.push(`${at}.concept must be a non-empty string`);
+    }
+    if (!isNonEmptyString(concept.cta)) {
+      errors.push(`${at}.cta must be a non-empty string`);
+    }
+
+    const posts = concept.mainContent && concept.mainContent.posts;
+    if (!Array.isArray(posts) || posts.length === 0) {
+      errors.push(`${at}.mainContent.posts must be a non-empty array of strings`);
+    } else {
+      posts.forEach((post, j) => {
+        if (!isNonEmptyString(post)) {
+          errors.push(`${at}.mainContent.posts[${j}] must be a non-empty string`);
+        }
+      });
+    }
+
+    for (const field of ['title', 'strategy', 'ahamoment', 'qualityValidation', 'sourceSection']) {
+      if (concept[field] !== undefined && concept[field] !== null && typeof concept[field] !== 'string') {
+        errors.push(`${at}.${field} must be a string`);
+      }
+    }
+    if (concept.number !== undefined && concept.number !== null && !Number.isInteger(Number(concept.number))) {
+      errors.push(`${at}.number must be an integer`);
+    }
+  });
+
+  return errors;
+}
+
+function firstSentence(text) {
+  const trimmed = String(text || '').trim();
+  const match = trimmed.match(/^[\s\S]*?[.!?](?=\s|$)/);
+  return (match ? match[0] : trimmed.split('\n')[0]).trim();
+}
+
+function shortTitle(text, maxLength = 60) {
+  const clean = text.trim().replace(/\s+/g, ' ');
+  if (clean.length <= maxLength) return clean;
+  const cut = clean.slice(0, maxLength);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength)}...`;
+}
+
+// Fill optional fields so page creation never sees undefined (expects validated data)
+function applyConceptDefaults(data) {
+  return {
+    ...data,
+    tweetConcepts: data.tweetConcepts.map((concept, i) => {
+      const posts = concept.mainContent.posts;
+      const number = parseInt(concept.number, 10);
+
+      return {
+        ...concept,
+        number: number > 0 ? number : i + 1,
+        title: isNonEmptyString(concept.title) ? concept.title.trim() : shortTitle(concept.concept),
+        strategy: isNonEmptyString(concept.strategy) ? concept.strategy : 'Not specified',
+        ahamoment: isNonEmptyString(concept.ahamoment) ? concept.ahamoment : firstSentence(posts[0]),
+        mainContent: {
+          ...concept.mainContent,
+          characterCounts: Array.isArray(concept.mainContent.characterCounts) ? concept.mainContent.characterCounts : []
+        },
+        qualityValidation: isNonEmptyString(concept.qualityValidation)
+          ? concept.qualityValidation
+          : `Not reported by the model (${posts.length} post${posts.length === 1 ? '' : 's'}, CTA ${/https?:\/\//.test(concept.cta) ? 'with' : 'without'} link)`
+      };
+    })
+  };
+}
+
+module.exports = {
+  TWEET_CONCEPTS_SCHEMA,
+  CONTENT_ANALYSIS_SCHEMA,
+  QUALITY_ASSESSMENT_SCHEMA,
+  SECTION_INSIGHTS_SCHEMA,
+  OUTPUT_TOOLS,
+  validateTweetConcepts,
+  applyConceptDefaults,
+  firstSentence
+};
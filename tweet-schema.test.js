@@ -0,0 +1,82 @@
+// tweetConcepts validation and the defaults filled in for optional fields, so pages are
+// never created from a malformed response or titled "TWEET #undefined: undefined"
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateTweetConcepts, applyConceptDefaults, firstSentence } = require('./tweet-schema');
+
+function concept(extra = {}) {
+  return {
+    concept: 'Systems beat goals',
+    mainContent: { posts: ['Goals set direction. Systems get you there.', 'Second post'] },
+    cta: 'Read the full email: https://example.com/post',
+    ...extra
+  };
+}
+
+test('a response with the required fields is valid', () => {
+  assert.deepStrictEqual(validateTweetConcepts({ tweetConcepts: [concept()] }), []);
+});
+
+test('the response shape is checked before the concepts', () => {
+  assert.match(validateTweetConcepts(null)[0], /JSON object/);
+  assert.match(validateTweetConcepts([])[0], /JSON object/);
+  assert.deepStrictEqual(validateTweetConcepts({}), ['"tweetConcepts" must be an array']);
+  assert.deepStrictEqual(validateTweetConcepts({ tweetConcepts: [] }), ['"tweetConcepts" must contain at least one concept']);
+});
+
+test('each problem is reported with the path of the field', () => {
+  const errors = validateTweetConcepts({
+    tweetConcepts: [
+      concept({ concept: ' ', cta: undefined }),
+      concept({ mainContent: { posts: ['ok', ''] }, title: 42, number: 'two' }),
+      concept({ mainContent: {} }),
+      'not an object'
+    ]
+  });
+
+  assert.deepStrictEqual(errors, [
+    'tweetConcepts[0].concept must be a non-empty string',
+    'tweetConcepts[0].cta must be a non-empty string',
+    'tweetConcepts[1].mainContent.posts[1] must be a non-empty string',
+    'tweetConcepts[1].title must be a string',
+    'tweetConcepts[1].number must be an integer',
+    'tweetConcepts[2].mainContent.posts must be a non-empty array of strings',
+    'tweetConcepts[3] must be an object'
+  ]);
+});
+
+test('missing optional fields get defaults derived from the content', () => {
+  const long = 'A concept description that runs well past the sixty character title limit for pages';
+  const [first, second] = applyConceptDefaults({ tweetConcepts: [concept(), concept({ concept: long, number: '0' })] }).tweetConcepts;
+
+  assert.strictEqual(first.number, 1);
+  assert.strictEqual(first.title, 'Systems beat goals');
+  assert.strictEqual(first.strategy, 'Not specified');
+  assert.strictEqual(first.ahamoment, 'Goals set direction.');
+  assert.deepStrictEqual(first.mainContent.characterCounts, []);
+  assert.strictEqual(first.qualityValidation, 'Not reported by the model (2 posts, CTA with link)');
+
+  assert.strictEqual(second.number, 2);
+  assert.ok(second.title.endsWith('...'));
+  assert.ok(second.title.length <= 63);
+});
+
+test('fields the model did send are kept', () => {
+  const [kept] = applyConceptDefaults({
+    tweetConcepts: [concept({ number: '3', title: '  My title ', strategy: 'Contrarian Take', ahamoment: 'Aha', qualityValidation: 'Checked' })]
+  }).tweetConcepts;
+
+  assert.strictEqual(kept.number, 3);
+  assert.strictEqual(kept.title, 'My title');
+  assert.strictEqual(kept.strategy, 'Contrarian Take');
+  assert.strictEqual(kept.ahamoment, 'Aha');
+  assert.strictEqual(kept.qualityValidation, 'Checked');
+});
+
+test('firstSentence stops at the first sentence end or line break', () => {
+  assert.strictEqual(firstSentence('One idea. Another.'), 'One idea.');
+  assert.strictEqual(firstSentence('No full stop\nsecond line'), 'No full stop');
+  assert.strictEqual(firstSentence('Version 2.0 ships today'), 'Version 2.0 ships today');
+  assert.strictEqual(firstSentence(null), '');
+});
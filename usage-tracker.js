@@ -0,0 +1,204 @@
+// Token Usage & Cost Accounting
+// Records the input/output tokens of every model response per generation pass, prices
+// them from a configurable table and keeps the running monthly spend on disk. Calls made
+// inside trackUsage() add to that run's ledger; budgets are checked against both
+
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const { dataPath, readJson, writeJson } = require('./json-store');
+
+const usageStorage = new AsyncLocalStorage();
+
+// USD per million tokens, matched by longest model-name prefix
+const DEFAULT_PRICES = {
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 }
+};
+
+// Defaults, overridden by MODEL_PRICES (JSON) or MODEL_PRICES_FILE (path to JSON).
+// Returns { prices, errors }: an unreadable table or a bad entry is reported in errors
+// and the built-in prices are kept, so a typo doesn't stop the server from starting
+function loadPriceTable(env = process.env) {
+  const source = env.MODEL_PRICES_FILE ? `MODEL_PRICES_FILE ${env.MODEL_PRICES_FILE}` : 'MODEL_PRICES';
+  const errors = [];
+  let overrides = {};
+
+  try {
+    if (env.MODEL_PRICES_FILE) {
+      overrides = JSON.parse(fs.readFileSync(env.MODEL_PRICES_FILE, 'utf8'));
+    } else if (env.MODEL_PRICES) {
+      overrides = JSON.parse(env.MODEL_PRICES);
+    }
+  } catch (error) {
+    errors.push(`Could not read ${source}: ${error.message}`);
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    errors.push(`${source} must be a JSON object of model prefix -> { input, output }`);
+    overrides = {};
+  }
+
+  const prices = { ...DEFAULT_PRICES };
+  for (const [prefix, price] of Object.entries(overrides)) {
+    if (price && Number.isFinite(price.input) && Number.isFinite(price.output) && price.input >= 0 && price.output >= 0) {
+      prices[prefix] = { input: price.input, output: price.output };
+    } else {
+      errors.push(`${source}: "${prefix}" needs numeric input and output prices (USD per million tokens)`);
+    }
+  }
+  return { prices, errors };
+}
+
+function monthKey(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+}
+
+function addTo(totals, entry) {
+  totals.calls += 1;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.costUsd = roundUsd(totals.costUsd + entry.costUsd);
+}
+
+class UsageTracker {
+  constructor(options = {}) {
+    const loaded = options.prices ? { prices: options.prices, errors: [] } : loadPriceTable();
+    this.prices = loaded.prices;
+    // Problems with MODEL_PRICES / MODEL_PRICES_FILE (reported by /diagnostics)
+    this.priceErrors = loaded.errors;
+    this.filePath = options.filePath || dataPath('usage.json');
+    this.runBudgetUsd = parseFloat(options.runBudgetUsd || process.env.BUDGET_PER_RUN_USD || '0');
+    this.monthlyBudgetUsd = parseFloat(options.monthlyBudgetUsd || process.env.BUDGET_MONTHLY_USD || '0');
+    this.unpricedModels = new Set();
+    this.spend = this.load();
+  }
+
+  // --- Persistence (monthly spend) ---
+
+  load() {
+    return readJson(this.filePath, { months: {} }, 'usage store');
+  }
+
+  save() {
+    writeJson(this.filePath, this.spend, 'usage store');
+  }
+
+  // --- Pricing ---
+
+  priceFor(model) {
+    const key = Object.keys(this.prices)
+      .filter(prefix => model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (!key) {
+      if (!this.unpricedModels.has(model)) {
+        this.unpricedModels.add(model);
+        console.log(`⚠️ No price configured for model "${model}" - its cost is counted as 0 (set MODEL_PRICES)`);
+      }
+      return { input: 0, output: 0 };
+    }
+    return this.prices[key];
+  }
+
+  // --- Ledgers ---
+
+  createLedger() {
+    return { passes: {}, totals: emptyTotals() };
+  }
+
+  record(ledger, pass, response) {
+    const usage = response.usage || {};
+    const model = response.model || process.env.CLAUDE_MODEL_NAME || 'unknown';
+    const price = this.priceFor(model);
+    const entry = {
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      costUsd: roundUsd(((usage.input_tokens || 0) * price.input + (usage.output_tokens || 0) * price.output) / 1e6)
+    };
+
+    if (ledger) {
+      if (!ledger.passes[pass]) {
+        ledger.passes[pass] = { model, ...emptyTotals() };
+      }
+      addTo(ledger.passes[pass], entry);
+      addTo(ledger.totals, entry);
+    }
+
+    const month = monthKey();
+    this.spend.months[month] = roundUsd((this.spend.months[month] || 0) + entry.costUsd);
+    this.save();
+
+    return entry;
+  }
+
+  monthlySpendUsd() {
+    return this.spend.months[monthKey()] || 0;
+  }
+
+  // Reason the budget is used up, or null while there is room left
+  budgetExceeded(ledger) {
+    if (this.monthlyBudgetUsd > 0 && this.monthlySpendUsd() >= this.monthlyBudgetUsd) {
+      return `monthly budget of $${this.monthlyBudgetUsd} reached ($${this.monthlySpendUsd().toFixed(4)} spent in ${monthKey()})`;
+    }
+    if (this.runBudgetUsd > 0 && ledger && ledger.totals.costUsd >= this.runBudgetUsd) {
+      return `per-run budget of $${this.runBudgetUsd} reached ($${ledger.totals.costUsd.toFixed(4)} spent)`;
+    }
+    return null;
+  }
+
+  summary() {
+    return {
+      month: monthKey(),
+      spentUsd: this.monthlySpendUsd(),
+      monthlyBudgetUsd: this.monthlyBudgetUsd || null,
+      runBudgetUsd: this.runBudgetUsd || null
+    };
+  }
+}
+
+// Run fn with every recordUsage() call added to ledger
+function trackUsage(tracker, ledger, fn) {
+  return usageStorage.run({ tracker, ledger }, fn);
+}
+
+// Record a model response for the current run (no-op outside trackUsage)
+function recordUsage(pass, response) {
+  const store = usageStorage.getStore();
+  if (!store || !response) return null;
+  return store.tracker.record(store.ledger, pass, response);
+}
+
+function currentLedger() {
+  const store = usageStorage.getStore();
+  return store ? store.ledger : null;
+}
+
+// Totals added to a ledger since an earlier copy of its totals
+function usageSince(ledger, before) {
+  return {
+    calls: ledger.totals.calls - before.calls,
+    inputTokens: ledger.totals.inputTokens - before.inputTokens,
+    outputTokens: ledger.totals.outputTokens - before.outputTokens,
+    costUsd: roundUsd(ledger.totals.costUsd - before.costUsd)
+  };
+}
+
+UsageTracker.trackUsage = trackUsage;
+UsageTracker.recordUsage = recordUsage;
+UsageTracker.currentLedger = currentLedger;
+UsageTracker.usageSince = usageSince;
+
+module.exports = UsageTracker;
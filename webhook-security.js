@@ -0,0 +1,276 @@
+// Webhook Security Layer
+// Authenticates incoming webhook calls, rejects replays and rate-limits each source.
+// Replays are caught for requests that carry a timestamp (required in hmac and notion
+// mode): it must be inside the allowed window, and each signature is accepted once until
+// that window has passed. Bearer requests without a timestamp have no replay protection.
+// In notion mode the unsigned subscription handshake ({ verification_token }) is let
+// through so the token can be logged and copied into the Notion UI and WEBHOOK_SECRET
+
+const crypto = require('crypto');
+
+const AUTH_MODES = ['off', 'bearer', 'hmac', 'notion'];
+
+// Read security settings from the environment (each deployment can choose its own mode)
+function getWebhookSecurityConfig(env = process.env) {
+  const mode = (env.WEBHOOK_AUTH_MODE || 'off').toLowerCase();
+
+  return {
+    mode: AUTH_MODES.includes(mode) ? mode : 'invalid',
+    secret: env.WEBHOOK_SECRET || '',
+    maxSkewSeconds: parseInt(env.WEBHOOK_MAX_SKEW_SECONDS || '300', 10),
+    requireTimestamp: env.WEBHOOK_REQUIRE_TIMESTAMP === 'true',
+    bodyLimit: env.WEBHOOK_BODY_LIMIT || '100kb',
+    rateLimit: parseInt(env.WEBHOOK_RATE_LIMIT || '30', 10),
+    rateWindowMs: parseInt(env.WEBHOOK_RATE_WINDOW_MS || '60000', 10)
+  };
+}
+
+// Constant-time comparison that tolerates different lengths
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function hmacHex(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+// Strip an optional "sha256=" prefix from a signature header
+function parseSignatureHeader(value) {
+  if (!value) return null;
+  return String(value).trim().replace(/^sha256=/i, '');
+}
+
+// Timestamps may arrive as unix seconds, unix milliseconds or ISO strings
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+$/.test(String(value))) {
+    const numeric = parseInt(value, 10);
+    return numeric > 1e12 ? numeric : numeric * 1000;
+  }
+
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function rejection(status, error) {
+  return { ok: false, status, error };
+}
+
+// Notion's subscription handshake: a POST with only { verification_token } and no signature
+// (nothing can be signed yet - the token is the signing secret for every later event)
+function notionVerificationToken(req) {
+  const body = req.body;
+  if (!body || typeof body.verification_token !== 'string' || req.get('x-notion-signature')) {
+    return null;
+  }
+  return Object.keys(body).length === 1 ? body.verification_token : null;
+}
+
+// Verify a single request against the configured mode.
+// Returns { ok: true }, { ok: true, verificationToken } for the Notion handshake (no work
+// should be started for it) or { ok: false, status, error }
+function verifyWebhookRequest(req, config, seenSignatures, now = Date.now()) {
+  if (config.mode === 'off') {
+    return { ok: true };
+  }
+
+  if (config.mode === 'invalid') {
+    return rejection(500, 'Webhook authentication is misconfigured (unknown WEBHOOK_AUTH_MODE)');
+  }
+
+  // Checked before the secret: the handshake is how the secret is obtained
+  if (config.mode === 'notion') {
+    const verificationToken = notionVerificationToken(req);
+    if (verificationToken) {
+      return { ok: true, verificationToken };
+    }
+  }
+
+  if (!config.secret) {
+    return rejection(500, 'Webhook authentication is enabled but WEBHOOK_SECRET is not set');
+  }
+
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+
+  // Replay window: prefer an explicit header, fall back to a timestamp in the payload
+  const timestampValue = req.get('x-webhook-timestamp') || (req.body && req.body.timestamp);
+  const timestamp = parseTimestamp(timestampValue);
+
+  // Notion's webhook events carry a timestamp in the payload, so it is required there too
+  if (timestamp === null && (config.requireTimestamp || config.mode === 'hmac' || config.mode === 'notion')) {
+    return rejection(401, 'Missing or invalid webhook timestamp');
+  }
+
+  if (timestamp !== null && Math.abs(now - timestamp) > config.maxSkewSeconds * 1000) {
+    return rejection(403, 'Webhook timestamp outside the allowed window');
+  }
+
+  let signature;
+
+  if (config.mode === 'bearer') {
+    const header = req.get('authorization') || '';
+    const token = header.replace(/^Bearer\s+/i, '') || req.get('x-webhook-token');
+    if (!token) {
+      return rejection(401, 'Missing bearer token');
+    }
+    if (!safeEqual(token, config.secret)) {
+      return rejection(403, 'Invalid bearer token');
+    }
+    // The token is the same on every request, so a timestamped request is identified
+    // by its timestamp, path and body instead
+    if (timestamp === null) {
+      return { ok: true };
+    }
+    signature = hmacHex(config.secret, `${timestampValue}.${req.originalUrl || ''}.${rawBody}`);
+  }
+
+  if (config.mode === 'hmac') {
+    signature = parseSignatureHeader(req.get('x-webhook-signature'));
+    if (!signature) {
+      return rejection(401, 'Missing X-Webhook-Signature header');
+    }
+    // Signing the timestamp together with the body stops it being swapped on replay
+    const expected = hmacHex(config.secret, `${timestampValue}.${rawBody}`);
+    if (!safeEqual(signature, expected)) {
+      return rejection(403, 'Invalid webhook signature');
+    }
+  }
+
+  if (config.mode === 'notion') {
+    signature = parseSignatureHeader(req.get('x-notion-signature'));
+    if (!signature) {
+      return rejection(401, 'Missing X-Notion-Signature header');
+    }
+    const expected = hmacHex(config.secret, rawBody);
+    if (!safeEqual(signature, expected)) {
+      return rejection(403, 'Invalid Notion signature');
+    }
+  }
+
+  // A valid signature may only be used once; it is remembered until its timestamp falls
+  // outside the window (after that the timestamp check rejects it)
+  if (seenSignatures.has(signature)) {
+    return rejection(403, 'Webhook payload has already been received (replay)');
+  }
+  seenSignatures.set(signature, timestamp + config.maxSkewSeconds * 1000);
+
+  return { ok: true };
+}
+
+// Simple fixed-window limiter keyed by source IP (sources whose window has ended are
+// swept every minute)
+function createRateLimiter(limit, windowMs) {
+  const windows = new Map();
+
+  const sweepInterval = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (now - entry.start >= windowMs) windows.delete(key);
+    }
+  }, 60000);
+  sweepInterval.unref();
+
+  return function isAllowed(key, now = Date.now()) {
+    if (!limit || limit <= 0) return true;
+
+    const entry = windows.get(key);
+    if (!entry || now - entry.start >= windowMs) {
+      windows.set(key, { start: now, count: 1 });
+      return true;
+    }
+
+    entry.count++;
+    return entry.count <= limit;
+  };
+}
+
+// Express middleware combining rate limiting and authentication
+function createWebhookGuard(config = getWebhookSecurityConfig()) {
+  const seenSignatures = new Map();
+  const isAllowed = createRateLimiter(config.rateLimit, config.rateWindowMs);
+
+  // Forget signatures once they can no longer pass the timestamp check
+  const pruneInterval = setInterval(() => {
+    const now = Date.now();
+    for (const [signature, expiresAt] of seenSignatures) {
+      if (expiresAt < now) seenSignatures.delete(signature);
+    }
+  }, 60000);
+  pruneInterval.unref();
+
+  return function webhookGuard(req, res, next) {
+    const source = req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+
+    if (!isAllowed(source)) {
+      console.log(`🚫 Webhook rate limit exceeded for ${source}`);
+      return res.status(429).json({
+        error: 'Too many webhook requests',
+        retry_after_ms: config.rateWindowMs,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = verifyWebhookRequest(req, config, seenSignatures);
+    if (!result.ok) {
+      console.log(`🚫 Webhook rejected from ${source}: ${result.error}`);
+      return res.status(result.status).json({
+        error: result.error,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (result.verificationToken) {
+      console.log(`🔑 Notion webhook verification token from ${source}: ${result.verificationToken}`);
+      console.log('   Paste it into the subscription\'s "Verify" dialog in Notion and set it as WEBHOOK_SECRET');
+      return res.status(200).json({
+        message: 'Verification token received - check the server log',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  };
+}
+
+// Bearer-token check for the read-only APIs (open when no API_TOKEN is configured, unless
+// required is set - then the endpoint stays closed until a token is configured)
+function createApiTokenGuard(token = process.env.API_TOKEN, { required = false } = {}) {
+  return function apiTokenGuard(req, res, next) {
+    if (!token) {
+      if (required) {
+        return res.status(403).json({ error: 'This endpoint requires API_TOKEN to be set' });
+      }
+      return next();
+    }
+
+    const header = req.get('authorization') || '';
+    const provided = header.replace(/^Bearer\s+/i, '');
+    if (!provided) {
+      return res.status(401).json({ error: 'Missing bearer token' });
+    }
+    if (!safeEqual(provided, token)) {
+      return res.status(403).json({ error: 'Invalid bearer token' });
+    }
+    next();
+  };
+}
+
+// Keep the raw request bytes so signatures can be checked against them
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+module.exports = {
+  getWebhookSecurityConfig,
+  verifyWebhookRequest,
+  createRateLimiter,
+  createWebhookGuard,
+  createApiTokenGuard,
+  captureRawBody
+};
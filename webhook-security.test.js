@@ -0,0 +1,171 @@
+// Webhook authentication in each mode: bearer, hmac and notion signatures, the unsigned
+// Notion subscription handshake, replayed requests and timestamps outside the window
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { getWebhookSecurityConfig, verifyWebhookRequest, createWebhookGuard } = require('./webhook-security');
+
+const SECRET = 'test-secret';
+const NOW = Date.parse('2026-03-02T10:00:00Z');
+
+function config(mode, extra = {}) {
+  return getWebhookSecurityConfig({ WEBHOOK_AUTH_MODE: mode, WEBHOOK_SECRET: SECRET, ...extra });
+}
+
+// Express-like request: body is parsed JSON, rawBody the bytes it was parsed from
+function request(body, headers = {}, originalUrl = '/webhook') {
+  const raw = JSON.stringify(body);
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    body,
+    rawBody: Buffer.from(raw),
+    originalUrl,
+    get: name => lower[name.toLowerCase()]
+  };
+}
+
+function hmac(payload, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function hmacRequest(body, timestamp, secret = SECRET) {
+  return request(body, {
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `sha256=${hmac(`${timestamp}.${JSON.stringify(body)}`, secret)}`
+  });
+}
+
+function notionRequest(body, secret = SECRET) {
+  return request(body, { 'X-Notion-Signature': `sha256=${hmac(JSON.stringify(body), secret)}` });
+}
+
+function verify(req, cfg, seen = new Map(), now = NOW) {
+  return verifyWebhookRequest(req, cfg, seen, now);
+}
+
+test('off mode lets every request through', () => {
+  assert.deepStrictEqual(verify(request({}), config('off')), { ok: true });
+});
+
+test('an unknown mode or a missing secret fails closed', () => {
+  assert.strictEqual(verify(request({}), config('basic')).status, 500);
+  assert.strictEqual(verify(request({}), getWebhookSecurityConfig({ WEBHOOK_AUTH_MODE: 'hmac' })).status, 500);
+});
+
+test('bearer mode checks the token', () => {
+  const cfg = config('bearer');
+
+  assert.ok(verify(request({}, { Authorization: `Bearer ${SECRET}` }), cfg).ok);
+  assert.ok(verify(request({}, { 'X-Webhook-Token': SECRET }), cfg).ok);
+  assert.strictEqual(verify(request({}), cfg).status, 401);
+  assert.strictEqual(verify(request({}, { Authorization: 'Bearer wrong' }), cfg).status, 403);
+});
+
+test('bearer mode rejects a repeated timestamped request but not the same body on another path', () => {
+  const cfg = config('bearer');
+  const seen = new Map();
+  const headers = { Authorization: `Bearer ${SECRET}`, 'X-Webhook-Timestamp': String(NOW / 1000) };
+
+  assert.ok(verify(request({}, headers, '/regenerate/abc'), cfg, seen).ok);
+  assert.ok(verify(request({}, headers, '/refine/abc'), cfg, seen).ok);
+  assert.strictEqual(verify(request({}, headers, '/regenerate/abc'), cfg, seen).status, 403);
+});
+
+test('bearer mode requires a timestamp when WEBHOOK_REQUIRE_TIMESTAMP is set', () => {
+  const cfg = config('bearer', { WEBHOOK_REQUIRE_TIMESTAMP: 'true' });
+  assert.strictEqual(verify(request({}, { Authorization: `Bearer ${SECRET}` }), cfg).status, 401);
+});
+
+test('hmac mode checks the signature over timestamp and body', () => {
+  const cfg = config('hmac');
+  const body = { data: { id: 'page-1' } };
+
+  assert.ok(verify(hmacRequest(body, NOW), cfg).ok);
+  assert.strictEqual(verify(hmacRequest(body, NOW, 'other-secret'), cfg).status, 403);
+  assert.strictEqual(verify(request(body, { 'X-Webhook-Timestamp': String(NOW) }), cfg).status, 401);
+  assert.strictEqual(verify(request(body, { 'X-Webhook-Signature': 'sha256=abc' }), cfg).status, 401);
+
+  // The signature is bound to its timestamp, so a fresh timestamp can't be swapped in
+  const swapped = request(body, {
+    'X-Webhook-Timestamp': String(NOW),
+    'X-Webhook-Signature': hmacRequest(body, NOW - 1000).get('x-webhook-signature')
+  });
+  assert.strictEqual(verify(swapped, cfg).status, 403);
+});
+
+test('hmac mode rejects a replayed request', () => {
+  const cfg = config('hmac');
+  const seen = new Map();
+  const body = { data: { id: 'page-1' } };
+
+  assert.ok(verify(hmacRequest(body, NOW), cfg, seen).ok);
+  const replay = verify(hmacRequest(body, NOW), cfg, seen, NOW + 1000);
+  assert.strictEqual(replay.status, 403);
+  assert.match(replay.error, /replay/);
+});
+
+test('timestamps outside WEBHOOK_MAX_SKEW_SECONDS are rejected', () => {
+  const cfg = config('hmac', { WEBHOOK_MAX_SKEW_SECONDS: '60' });
+  const body = { data: { id: 'page-1' } };
+
+  assert.ok(verify(hmacRequest(body, NOW - 59 * 1000), cfg).ok);
+  assert.strictEqual(verify(hmacRequest(body, NOW - 61 * 1000), cfg).status, 403);
+  assert.strictEqual(verify(hmacRequest(body, NOW + 61 * 1000), cfg).status, 403);
+  // Unix seconds and ISO strings are read the same way
+  assert.ok(verify(hmacRequest(body, Math.floor(NOW / 1000)), cfg).ok);
+  assert.ok(verify(hmacRequest(body, new Date(NOW).toISOString()), cfg).ok);
+});
+
+test('notion mode checks X-Notion-Signature over the raw body', () => {
+  const cfg = config('notion');
+  const event = { id: 'event-1', timestamp: new Date(NOW).toISOString(), type: 'page.content_updated', entity: { id: 'page-1', type: 'page' } };
+
+  assert.ok(verify(notionRequest(event), cfg).ok);
+  assert.strictEqual(verify(notionRequest(event, 'other-secret'), cfg).status, 403);
+  assert.strictEqual(verify(request(event), cfg).status, 401);
+  assert.strictEqual(verify(notionRequest({ ...event, timestamp: undefined }), cfg).status, 401);
+});
+
+test('notion mode rejects a replayed event', () => {
+  const cfg = config('notion');
+  const seen = new Map();
+  const event = { id: 'event-1', timestamp: new Date(NOW).toISOString(), entity: { id: 'page-1', type: 'page' } };
+
+  assert.ok(verify(notionRequest(event), cfg, seen).ok);
+  assert.strictEqual(verify(notionRequest(event), cfg, seen, NOW + 1000).status, 403);
+});
+
+test('notion mode lets the unsigned verification handshake through, even before the secret is set', () => {
+  const handshake = request({ verification_token: 'secret_abc' });
+
+  assert.deepStrictEqual(verify(handshake, config('notion')), { ok: true, verificationToken: 'secret_abc' });
+  assert.deepStrictEqual(verify(handshake, getWebhookSecurityConfig({ WEBHOOK_AUTH_MODE: 'notion' })), { ok: true, verificationToken: 'secret_abc' });
+  // Only the bare handshake: anything else still needs a signature
+  assert.strictEqual(verify(request({ verification_token: 'secret_abc', entity: { id: 'page-1', type: 'page' } }), config('notion')).status, 401);
+  assert.strictEqual(verify(handshake, config('hmac')).status, 401);
+});
+
+test('the guard answers the handshake itself and logs the token', () => {
+  const guard = createWebhookGuard(config('notion'));
+  const req = request({ verification_token: 'secret_abc' });
+  req.ip = '127.0.0.1';
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const logged = [];
+  const log = console.log;
+  console.log = (...args) => logged.push(args.join(' '));
+
+  let nextCalled = false;
+  try {
+    guard(req, res, () => { nextCalled = true; });
+  } finally {
+    console.log = log;
+  }
+
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 200);
+  assert.ok(logged.some(line => line.includes('secret_abc')));
+});
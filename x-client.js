@@ -0,0 +1,87 @@
+// X (Twitter) API v2 Client
+// Publishing only needs one operation, so any object implementing
+//   createPost({ text, replyToId }) -> Promise<{ id, text }>
+// can stand in for this client. X_API_BASE_URL points it at a local mock server
+// (see mock-x-server.js) for testing without touching the real account
+
+class XApiError extends Error {
+  constructor(message, status, retryAfterMs) {
+    super(message);
+    this.name = 'XApiError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    // Rate limits and server errors clear up on their own; other 4xx need a human
+    this.transient = status === 429 || status >= 500;
+  }
+}
+
+class XClient {
+  constructor(options = {}) {
+    this.accessToken = options.accessToken || process.env.X_USER_ACCESS_TOKEN;
+    this.baseUrl = (options.baseUrl || process.env.X_API_BASE_URL || 'https://api.twitter.com').replace(/\/$/, '');
+    this.username = options.username || process.env.X_USERNAME || null;
+  }
+
+  isConfigured() {
+    return Boolean(this.accessToken);
+  }
+
+  // Post a tweet, optionally as a reply (which is how threads are chained)
+  async createPost({ text, replyToId }) {
+    if (!this.accessToken) {
+      throw new XApiError('X_USER_ACCESS_TOKEN is not set', 401);
+    }
+
+    const body = { text };
+    if (replyToId) {
+      body.reply = { in_reply_to_tweet_id: replyToId };
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/2/tweets`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      // Network failures are worth retrying
+      throw new XApiError(`X API request failed: ${error.message}`, 503);
+    }
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const detail = payload.detail || payload.title || (payload.errors && payload.errors[0] && payload.errors[0].message) || response.statusText;
+      throw new XApiError(`X API error ${response.status}: ${detail}`, response.status, retryAfterMs(response.headers));
+    }
+
+    return { id: payload.data.id, text: payload.data.text };
+  }
+
+  postUrl(id) {
+    return this.username
+      ? `https://x.com/${this.username}/status/${id}`
+      : `https://x.com/i/web/status/${id}`;
+  }
+}
+
+// X reports rate-limit resets as a unix timestamp; plain retry-after is also honoured
+function retryAfterMs(headers) {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    return parseInt(retryAfter, 10) * 1000;
+  }
+  const reset = headers.get('x-rate-limit-reset');
+  if (reset) {
+    return Math.max(0, parseInt(reset, 10) * 1000 - Date.now());
+  }
+  return null;
+}
+
+XClient.XApiError = XApiError;
+
+module.exports = XClient;